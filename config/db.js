@@ -11,6 +11,31 @@ const connectDB = async () => {
   try {
     await mongoose.connect(mongoURI);
     logger.info('MongoDB connected');
+    // transcripts used to be unique per videoId, and their text index used the language field as its
+    // language override; syncIndexes drops both old indexes and builds the current ones
+    const Transcript = require('../models/Transcript');
+    await Transcript.syncIndexes();
+    // transcripts cached before segments were stored in milliseconds have no source field and may hold
+    // caption offsets in seconds; they are only a cache, so they are dropped and fetched again on demand
+    const { deletedCount } = await Transcript.deleteMany({ source: { $exists: false } });
+    if (deletedCount) logger.info(`Removed ${deletedCount} legacy cached transcripts`);
+    // before isOriginal was stored the oldest non-translation counted as the original. for Whisper transcripts
+    // that still holds; caption tracks are marked again when the default track is next fetched
+    const legacyOriginals = await Transcript.aggregate([
+      { $match: { isOriginal: { $exists: false }, source: 'whisper', translatedFrom: null } },
+      { $sort: { createdAt: 1 } },
+      { $group: { _id: '$videoId', first: { $first: '$_id' } } }
+    ]);
+    await Transcript.updateMany({ _id: { $in: legacyOriginals.map(group => group.first) } }, { isOriginal: true });
+    await Transcript.updateMany({ isOriginal: { $exists: false } }, { isOriginal: false });
+    // the plain videoId index on jobs is replaced by a unique one over queued and running jobs of the same name
+    await require('../models/TranscriptionJob').syncIndexes();
+    // video metadata used to live in the misspelled videomtadatas collection; it is only a cache, so it is dropped
+    const legacyMetadata = await mongoose.connection.db.listCollections({ name: 'videomtadatas' }).toArray();
+    if (legacyMetadata.length) {
+      await mongoose.connection.db.dropCollection('videomtadatas');
+      logger.info('Dropped legacy videomtadatas collection');
+    }
   } catch (error) {
     logger.error(`MongoDB connection error: ${error.message}`);
     process.exit(1);
@@ -1 +1,24 @@
-require('dotenv').config({ path: 'config.env' });
+require('dotenv').config();
+const { cleanEnv, str, port, bool, num, url } = require('envalid');
+
+// validated once at startup; settings with a parsed type are read from here rather than from process.env
+const env = cleanEnv(process.env, {
+  PORT: port({ default: 5000 }),
+  MONGODB_URI: str(),
+  LLM_PROVIDER: str({ choices: ['groq', 'openai', 'mock'], default: 'groq' }),
+  STT_PROVIDER: str({ choices: ['groq', 'openai', 'whispercpp'], default: 'groq' }),
+  GROQ_API_KEY: str({
+    default: undefined,
+    requiredWhen: env => env.LLM_PROVIDER === 'groq' || (env.WHISPER_ENABLED && env.STT_PROVIDER === 'groq')
+  }),
+  LLM_BASE_URL: str({ default: undefined, requiredWhen: env => env.LLM_PROVIDER === 'openai' }),
+  LLM_MODELS: str({ default: undefined, requiredWhen: env => env.LLM_PROVIDER === 'openai' }),
+  YOUTUBE_API_KEY: str(),
+  YOUTUBE_API_BASE_URL: url({ default: 'https://www.googleapis.com/youtube/v3' }),
+  JWT_SECRET: str(),
+  WHISPER_ENABLED: bool({ default: process.env.NODE_ENV !== 'production' }),
+  WHISPER_CPP_MODEL: str({ default: undefined, requiredWhen: env => env.STT_PROVIDER === 'whispercpp' }),
+  MEDIA_MAX_UPLOAD_MB: num({ default: 500 }),
+});
+
+module.exports = { env };
@@ -0,0 +1,46 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { ConflictError, UnauthorizedError, NotFoundError } = require('../utils/errors');
+
+const signToken = (user) =>
+  jwt.sign({ sub: user._id.toString(), email: user.email }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+  });
+
+const signup = async (req, res) => {
+  const { email, password, name } = req.body;
+  const existing = await User.findOne({ email: email.toLowerCase() });
+  if (existing) {
+    throw new ConflictError("Email is already registered");
+  }
+  const passwordHash = await bcrypt.hash(password, 10);
+  let user;
+  try {
+    user = await User.create({ email, name, passwordHash });
+  } catch (err) {
+    // a concurrent signup with the same email got past the check above
+    if (err.code === 11000) throw new ConflictError("Email is already registered");
+    throw err;
+  }
+  res.status(201).json({ token: signToken(user), user });
+};
+
+const login = async (req, res) => {
+  const { email, password } = req.body;
+  const user = await User.findOne({ email: email.toLowerCase() });
+  if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+    throw new UnauthorizedError("Invalid email or password", 'INVALID_CREDENTIALS');
+  }
+  res.status(200).json({ token: signToken(user), user });
+};
+
+const getCurrentUser = async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+  res.status(200).json({ user });
+};
+
+module.exports = { signup, login, getCurrentUser };
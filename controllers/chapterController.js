@@ -0,0 +1,10 @@
+const { generateChapters: generateChaptersService } = require('../services/chapterService');
+const { transcriptionFor } = require('../middleware/quota');
+
+const generateChapters = async (req, res) => {
+  const { videoId, force } = req.body;
+  const chapters = await generateChaptersService(videoId, { force, transcription: transcriptionFor(req) });
+  res.status(200).json({ videoId, chapters });
+};
+
+module.exports = { generateChapters };
@@ -0,0 +1,71 @@
+const Conversation = require('../models/Conversation');
+const { answerQuery } = require('../utils/queryHelper');
+const { transcriptionFor } = require('../middleware/quota');
+const { NotFoundError } = require('../utils/errors');
+
+// answers query in the context of the conversation and appends both turns
+const addTurn = async (conversation, query, transcription) => {
+  const history = conversation.messages.map(({ role, content }) => ({ role, content }));
+  const { content, transcriptAvailable, citations, model } = await answerQuery(query, conversation.videoId, {
+    history,
+    language: conversation.language,
+    transcription
+  });
+  conversation.messages.push({ role: 'user', content: query });
+  conversation.messages.push({ role: 'assistant', content, citations, model });
+  await conversation.save();
+  return { response: content, transcriptAvailable, citations };
+};
+
+const createConversation = async (req, res) => {
+  const { videoId, query, title, language } = req.body;
+  const conversation = new Conversation({
+    user: req.user.id,
+    videoId,
+    language,
+    title: title || (query ? query.slice(0, 80) : '')
+  });
+  if (!query) {
+    await conversation.save();
+    return res.status(201).json({ conversation });
+  }
+  const answer = await addTurn(conversation, query, transcriptionFor(req));
+  res.status(201).json({ conversation, ...answer });
+};
+
+const listConversations = async (req, res) => {
+  const filter = { user: req.user.id };
+  if (req.query.videoId) filter.videoId = req.query.videoId;
+  const conversations = await Conversation.find(filter)
+    .select('-messages')
+    .sort({ updatedAt: -1 })
+    .lean();
+  res.status(200).json(conversations);
+};
+
+const getConversation = async (req, res) => {
+  const conversation = await Conversation.findOne({ _id: req.params.id, user: req.user.id }).lean();
+  if (!conversation) {
+    throw new NotFoundError("Conversation not found");
+  }
+  res.status(200).json(conversation);
+};
+
+const sendMessage = async (req, res) => {
+  const conversation = await Conversation.findOne({ _id: req.params.id, user: req.user.id });
+  if (!conversation) {
+    throw new NotFoundError("Conversation not found");
+  }
+  const answer = await addTurn(conversation, req.body.query, transcriptionFor(req));
+  res.status(200).json({ conversationId: conversation._id, ...answer });
+};
+
+const deleteConversation = async (req, res) => {
+  const conversation = await Conversation.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+  if (!conversation) {
+    throw new NotFoundError("Conversation not found");
+  }
+  res.status(200).json({ message: "Conversation deleted successfully" });
+};
+
+module.exports = { createConversation, listConversations, getConversation, sendMessage, deleteConversation };
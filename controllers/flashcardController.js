@@ -0,0 +1,83 @@
+const sanitize = require('sanitize-html');
+const Flashcard = require('../models/Flashcard');
+const { createGeneratedCards, reviewCard } = require('../services/flashcardService');
+const { transcriptionFor } = require('../middleware/quota');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const stripTags = (text) => sanitize(text || '', { allowedTags: [], allowedAttributes: {} });
+
+const generateCards = async (req, res) => {
+  const { videoId, noteIds, count } = req.body;
+  const cards = await createGeneratedCards(req.user.id, { videoId, noteIds, count, transcription: transcriptionFor(req) });
+  res.status(201).json({ message: "Flashcards generated successfully", cards });
+};
+
+const createCard = async (req, res) => {
+  const { front, back, videoId } = req.body;
+  const sanitizedFront = stripTags(front);
+  const sanitizedBack = stripTags(back);
+  // markup-only input is empty once sanitized, which the schema cannot see
+  if (!sanitizedFront || !sanitizedBack) {
+    throw new ValidationError("Front and back are required");
+  }
+  const card = await Flashcard.create({ user: req.user.id, videoId, front: sanitizedFront, back: sanitizedBack });
+  res.status(201).json({ message: "Flashcard created successfully", card });
+};
+
+const listCards = async (req, res) => {
+  const filter = { user: req.user.id };
+  if (req.query.videoId) filter.videoId = req.query.videoId;
+  const cards = await Flashcard.find(filter).sort({ createdAt: -1 }).lean();
+  res.status(200).json(cards);
+};
+
+const getDueCards = async (req, res) => {
+  const { videoId, limit = 20 } = req.query;
+  const filter = { user: req.user.id, dueAt: { $lte: new Date() } };
+  if (videoId) filter.videoId = videoId;
+  const [cards, total] = await Promise.all([
+    Flashcard.find(filter).sort({ dueAt: 1 }).limit(limit).lean(),
+    Flashcard.countDocuments(filter)
+  ]);
+  res.status(200).json({ cards, total });
+};
+
+const reviewCardController = async (req, res) => {
+  const card = await Flashcard.findOne({ _id: req.params.id, user: req.user.id });
+  if (!card) {
+    throw new NotFoundError("Flashcard not found");
+  }
+  res.status(200).json(await reviewCard(card, req.body.quality));
+};
+
+const updateCard = async (req, res) => {
+  const update = {};
+  if (req.body.front !== undefined) update.front = stripTags(req.body.front);
+  if (req.body.back !== undefined) update.back = stripTags(req.body.back);
+  if (update.front === '' || update.back === '') {
+    throw new ValidationError("Front and back cannot be empty");
+  }
+  const card = await Flashcard.findOneAndUpdate({ _id: req.params.id, user: req.user.id }, update, { new: true, runValidators: true });
+  if (!card) {
+    throw new NotFoundError("Flashcard not found");
+  }
+  res.status(200).json({ message: "Flashcard updated successfully", card });
+};
+
+const deleteCard = async (req, res) => {
+  const card = await Flashcard.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+  if (!card) {
+    throw new NotFoundError("Flashcard not found");
+  }
+  res.status(200).json({ message: "Flashcard deleted successfully" });
+};
+
+module.exports = {
+  generateCards,
+  createCard,
+  listCards,
+  getDueCards,
+  reviewCard: reviewCardController,
+  updateCard,
+  deleteCard
+};
@@ -0,0 +1,63 @@
+const MediaItem = require('../models/MediaItem');
+const Transcript = require('../models/Transcript');
+const TranscriptionJob = require('../models/TranscriptionJob');
+const { createUploadedMedia, createLinkedMedia, deleteMediaItem } = require('../services/mediaService');
+const { isWhisperEnabled } = require('../services/transcriptService');
+const { NotFoundError, ValidationError, ServiceUnavailableError } = require('../utils/errors');
+
+const requireWhisper = () => {
+  if (!isWhisperEnabled()) {
+    throw new ServiceUnavailableError("Whisper transcription is disabled on this server");
+  }
+};
+
+// a rejected upload is removed from disk by discardUploadOnError on the route
+const uploadMedia = async (req, res) => {
+  if (!req.file) {
+    throw new ValidationError("No file provided");
+  }
+  requireWhisper();
+  const { item, job } = await createUploadedMedia({
+    owner: req.user.id,
+    file: req.file,
+    title: req.body.title,
+    language: req.body.language
+  });
+  res.status(202).json({ media: item, job });
+};
+
+const linkMedia = async (req, res) => {
+  const { url, title, language } = req.body;
+  requireWhisper();
+  const { item, job } = await createLinkedMedia({ owner: req.user.id, url, title, language });
+  res.status(202).json({ media: item, job });
+};
+
+const listMedia = async (req, res) => {
+  const items = await MediaItem.find({ owner: req.user.id }).sort({ createdAt: -1 });
+  res.status(200).json(items);
+};
+
+// the item with its latest transcription job, so clients can poll a single endpoint
+const getMedia = async (req, res) => {
+  const item = await MediaItem.findOne({ mediaId: req.params.mediaId, owner: req.user.id });
+  if (!item) {
+    throw new NotFoundError("Media not found");
+  }
+  const [job, transcriptAvailable] = await Promise.all([
+    TranscriptionJob.findOne({ videoId: item.mediaId }).sort({ createdAt: -1 }).lean(),
+    Transcript.exists({ videoId: item.mediaId })
+  ]);
+  res.status(200).json({ media: item, job, transcriptAvailable: !!transcriptAvailable });
+};
+
+const deleteMedia = async (req, res) => {
+  const item = await MediaItem.findOne({ mediaId: req.params.mediaId, owner: req.user.id }).lean();
+  if (!item) {
+    throw new NotFoundError("Media not found");
+  }
+  await deleteMediaItem(item);
+  res.status(200).json({ message: "Media deleted successfully" });
+};
+
+module.exports = { uploadMedia, linkMedia, listMedia, getMedia, deleteMedia };
@@ -1,86 +1,105 @@
-const mongoose = require('mongoose');
 const Note = require('../models/Note');
 const sanitize = require('sanitize-html');
-const { logger } = require('../config/logger');
+const { renderMarkdown, withContentHtml } = require('../utils/markdown');
+const { collectNotes, NOTE_EXPORT_FORMATS } = require('../services/noteExportService');
+const { NotFoundError } = require('../utils/errors');
 
-const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
 
-const saveNote = async (req, res) => {
-  try {
-    const { videoId, content, title = "" } = req.body;
-    const sanitizedContent = sanitize(content, {
-      allowedTags: [],
-      allowedAttributes: {}
-    });
-    const sanitizedTitle = sanitize(title, {
-      allowedTags: [],
-      allowedAttributes: {}
-    });
-    if (!sanitizedContent) {
-      return res.status(400).json({ error: "Content is required" });
-    }
-    const note = new Note({ videoId: videoId || "", content: sanitizedContent, title: sanitizedTitle });
-    await note.save();
-    res.status(201).json({ message: "Note created successfully", note });
-  } catch (err) {
-    logger.error(`Error saving note: ${err.message}`);
-    res.status(500).json({ error: "Failed to save note", details: err.message });
+const stripTags = (text) => sanitize(text, { allowedTags: [], allowedAttributes: {} });
+
+// lowercased, trimmed and de-duplicated; the route schema has already checked the shape
+const normalizeTags = (tags) => {
+  const normalized = tags
+    .map(tag => stripTags(tag).trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(normalized)].slice(0, MAX_TAGS);
+};
+
+// builds the fields shared by create and update from a validated body
+const buildNoteFields = ({ videoId, content, title, timestamp, tags }) => {
+  const fields = {};
+  if (videoId !== undefined) fields.videoId = videoId || "";
+  if (title !== undefined) fields.title = stripTags(title || "");
+  if (content !== undefined) {
+    fields.content = content;
+    fields.contentHtml = renderMarkdown(content);
   }
+  if (timestamp !== undefined) fields.timestamp = timestamp;
+  if (tags !== undefined) fields.tags = normalizeTags(tags);
+  return fields;
 };
 
+const saveNote = async (req, res) => {
+  const note = new Note({ owner: req.user.id, ...buildNoteFields(req.body) });
+  await note.save();
+  res.status(201).json({ message: "Note created successfully", note });
+};
+
+// a plain array as before; the { notes, total, page, limit } envelope only when page or limit is given
 const getNotes = async (req, res) => {
-  try {
-    const notes = await Note.find().sort({ createdAt: -1 }).lean();
-    if (!notes) {
-      return res.status(404).json({ error: "No notes found" });
-    }
-    res.status(200).json(notes);
-  } catch (err) {
-    logger.error(`Error fetching notes: ${err.message}`);
-    res.status(500).json({ error: "Failed to fetch notes", details: err.message });
+  const { videoId, tag, from, to, page, limit } = req.query;
+  const filter = { owner: req.user.id };
+  if (videoId) filter.videoId = videoId;
+  if (tag) filter.tags = tag.toLowerCase();
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
   }
+
+  const query = Note.find(filter).sort({ createdAt: -1 }).lean();
+  if (page === undefined && limit === undefined) {
+    const notes = await query;
+    return res.status(200).json(notes.map(withContentHtml));
+  }
+
+  const pageNumber = page || 1;
+  const pageSize = limit || 20;
+  const [notes, total] = await Promise.all([
+    query.skip((pageNumber - 1) * pageSize).limit(pageSize),
+    Note.countDocuments(filter)
+  ]);
+  res.status(200).json({ notes: notes.map(withContentHtml), total, page: pageNumber, limit: pageSize });
 };
 
 const deleteNote = async (req, res) => {
-  try {
-    const { id } = req.params;
-    if (!isValidObjectId(id)) {
-      return res.status(400).json({ error: "Invalid note ID" });
-    }
-    const note = await Note.findByIdAndDelete(id);
-    if (!note) {
-      return res.status(404).json({ error: "Note not found" });
-    }
-    res.status(200).json({ message: "Note deleted successfully" });
-  } catch (err) {
-    logger.error(`Error deleting note: ${err.message}`);
-    res.status(500).json({ error: "Failed to delete note", details: err.message });
+  const note = await Note.findOneAndDelete({ _id: req.params.id, owner: req.user.id });
+  if (!note) {
+    throw new NotFoundError("Note not found");
   }
+  res.status(200).json({ message: "Note deleted successfully" });
 };
 
 const updateNote = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { videoId, content, title } = req.body;
-    if (!isValidObjectId(id)) {
-      return res.status(400).json({ error: "Invalid note ID" });
-    }
-    if (!content) {
-      return res.status(400).json({ error: "Content is required" });
-    }
-    const note = await Note.findByIdAndUpdate(
-      id,
-      { videoId: videoId || "", content, title, createdAt: Date.now() },
-      { new: true, runValidators: true }
-    );
-    if (!note) {
-      return res.status(404).json({ error: "Note not found" });
-    }
-    res.status(200).json({ message: "Note updated successfully", note });
-  } catch (err) {
-    logger.error(`Error updating note: ${err.message}`);
-    res.status(500).json({ error: "Failed to update note", details: err.message });
+  // updatedAt is maintained by the schema, createdAt is left alone
+  const note = await Note.findOneAndUpdate(
+    { _id: req.params.id, owner: req.user.id },
+    buildNoteFields(req.body),
+    { new: true, runValidators: true }
+  );
+  if (!note) {
+    throw new NotFoundError("Note not found");
   }
+  res.status(200).json({ message: "Note updated successfully", note });
+};
+
+const exportNotes = async (req, res) => {
+  const { videoId, playlistId, format } = req.query;
+  const exporter = NOTE_EXPORT_FORMATS[format === 'anki' ? 'csv' : format];
+
+  const collected = await collectNotes(req.user.id, { videoId, playlistId });
+  if (!collected) {
+    throw new NotFoundError("No notes found");
+  }
+
+  const body = await exporter.render(collected);
+  res
+    .status(200)
+    .attachment(`notes-${playlistId || videoId}.${exporter.extension}`)
+    .type(exporter.contentType)
+    .send(body);
 };
 
-module.exports = { saveNote, getNotes, deleteNote, updateNote };
+module.exports = { saveNote, getNotes, deleteNote, updateNote, exportNotes };
@@ -1,17 +1,8 @@
 const { getPlaylistDetails } = require('../services/playlistService');
 
 const fetchPlaylist = async (req, res) => {
-  try {
-    const { playlistId } = req.body;
-    if (!playlistId) return res.status(400).json({ error: "No playlist ID provided" });
-
-    const playlistDetails = await getPlaylistDetails(playlistId);
-    if (!playlistDetails) return res.status(404).json({ error: "Playlist not found" });
-
-    res.json({ videos: playlistDetails });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+  const playlistDetails = await getPlaylistDetails(req.body.playlistId);
+  res.json(playlistDetails);
 };
 
 module.exports = { fetchPlaylist };
\ No newline at end of file
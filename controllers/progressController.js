@@ -0,0 +1,24 @@
+const Progress = require('../models/Progress');
+const { recordProgress, getPlaylistProgress } = require('../services/progressService');
+const { NotFoundError } = require('../utils/errors');
+
+const updateProgress = async (req, res) => {
+  const { position, duration, completed } = req.body;
+  const progress = await recordProgress(req.user.id, req.params.videoId, { position, duration, completed });
+  res.status(200).json(progress);
+};
+
+const getProgress = async (req, res) => {
+  const progress = await Progress.findOne({ user: req.user.id, videoId: req.params.videoId }).lean();
+  if (!progress) {
+    throw new NotFoundError("No progress recorded for this video");
+  }
+  res.status(200).json(progress);
+};
+
+const getPlaylistProgressController = async (req, res) => {
+  const progress = await getPlaylistProgress(req.user.id, req.params.playlistId);
+  res.status(200).json(progress);
+};
+
+module.exports = { updateProgress, getProgress, getPlaylistProgress: getPlaylistProgressController };
@@ -1,15 +1,64 @@
-const { answerQuery } = require('../utils/queryHelper'); 
+const { answerQuery, streamQuery } = require('../utils/queryHelper'); 
+const { toErrorBody, normalizeError } = require('../middleware/errorHandler');
+const { transcriptionFor } = require('../middleware/quota');
+const { logger } = require('../config/logger');
+
+// clients skip cached answers with "noCache": true or a Cache-Control: no-cache header
+const wantsFreshAnswer = (req) =>
+  req.body.noCache === true || /\bno-cache\b/i.test(req.get('Cache-Control') || '');
 
 const answerQueryController = async (req, res) => {
-  const { videoId, query } = req.body;
+  const { videoId, query, language } = req.body;
+  const { content, transcriptAvailable, citations, cached } = await answerQuery(query, videoId, {
+    language,
+    noCache: wantsFreshAnswer(req),
+    transcription: transcriptionFor(req)
+  });
+  res.status(200).json({ response: content, transcriptAvailable, citations, cached });
+};
+
+const streamQueryController = async (req, res) => {
+  const { videoId, query, language } = req.body;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // stop the upstream model call as soon as the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
 
   try {
-    const { content, transcriptAvailable } = await answerQuery(query, videoId);
-    res.status(200).json({ response: content, transcriptAvailable });
+    const { transcriptAvailable, citations, model, cached } = await streamQuery(query, videoId, {
+      signal: controller.signal,
+      language,
+      noCache: wantsFreshAnswer(req),
+      transcription: transcriptionFor(req),
+      onToken: token => sendEvent('token', { token })
+    });
+    sendEvent('done', { transcriptAvailable, citations, model, cached });
   } catch (error) {
-    console.error('Error answering query:', error);
-    res.status(error.status || 500).json({ error: error.message });
+    if (controller.signal.aborted) {
+      logger.info(`Client disconnected, cancelled streaming query for ${videoId}`);
+      return;
+    }
+    // headers are already sent, so the error travels in the stream with the same envelope as JSON responses
+    const { status } = normalizeError(error);
+    logger[status >= 500 ? 'error' : 'warn'](`Streaming query for ${videoId} failed: ${error.message}`);
+    sendEvent('error', { ...toErrorBody(error), status });
   }
+  res.end();
 };
 
-module.exports = { answerQuery: answerQueryController };
+module.exports = { answerQuery: answerQueryController, streamQuery: streamQueryController };
@@ -0,0 +1,48 @@
+const Quiz = require('../models/Quiz');
+const { createQuiz, gradeQuiz, toPublicQuiz } = require('../services/quizService');
+const { transcriptionFor } = require('../middleware/quota');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const generateQuiz = async (req, res) => {
+  const { videoId, count } = req.body;
+  const quiz = await createQuiz(req.user.id, videoId, count, transcriptionFor(req));
+  res.status(201).json(toPublicQuiz(quiz));
+};
+
+const listQuizzes = async (req, res) => {
+  const filter = { user: req.user.id };
+  if (req.query.videoId) filter.videoId = req.query.videoId;
+  const quizzes = await Quiz.find(filter).sort({ createdAt: -1 });
+  res.status(200).json(quizzes.map(toPublicQuiz));
+};
+
+const getQuiz = async (req, res) => {
+  const quiz = await Quiz.findOne({ _id: req.params.id, user: req.user.id });
+  if (!quiz) {
+    throw new NotFoundError("Quiz not found");
+  }
+  res.status(200).json(toPublicQuiz(quiz));
+};
+
+const submitQuiz = async (req, res) => {
+  const { answers } = req.body;
+  const quiz = await Quiz.findOne({ _id: req.params.id, user: req.user.id });
+  if (!quiz) {
+    throw new NotFoundError("Quiz not found");
+  }
+  if (answers.length !== quiz.questions.length) {
+    throw new ValidationError(`Expected ${quiz.questions.length} answers`);
+  }
+  const result = await gradeQuiz(quiz, answers);
+  res.status(200).json(result);
+};
+
+const getQuizAttempts = async (req, res) => {
+  const quiz = await Quiz.findOne({ _id: req.params.id, user: req.user.id }).select('attempts').lean();
+  if (!quiz) {
+    throw new NotFoundError("Quiz not found");
+  }
+  res.status(200).json(quiz.attempts);
+};
+
+module.exports = { generateQuiz, listQuizzes, getQuiz, submitQuiz, getQuizAttempts };
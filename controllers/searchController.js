@@ -0,0 +1,26 @@
+const { search, SEARCH_TYPES } = require('../services/searchService');
+const { getPlaylistDetails } = require('../services/playlistService');
+
+const searchContent = async (req, res) => {
+  const { q, videoId, playlistId, type, page = 1, limit = 20 } = req.query;
+
+  let videoIds;
+  if (videoId) {
+    videoIds = [videoId];
+  } else if (playlistId) {
+    const playlist = await getPlaylistDetails(playlistId);
+    videoIds = playlist.videos.map(video => video.id);
+  }
+
+  const results = await search({
+    query: q,
+    videoIds,
+    userId: req.user?.id,
+    types: type ? [type] : SEARCH_TYPES,
+    page,
+    limit
+  });
+  res.status(200).json(results);
+};
+
+module.exports = { searchContent };
@@ -0,0 +1,17 @@
+const { getSummary } = require('../services/summaryService');
+const { transcriptionFor } = require('../middleware/quota');
+
+const generateSummary = async (req, res) => {
+  const { videoId, type, force } = req.body;
+  const summary = await getSummary(videoId, type, { force, transcription: transcriptionFor(req) });
+  res.status(200).json({
+    videoId,
+    type,
+    summary: summary.content,
+    language: summary.language,
+    cached: summary.cached,
+    generatedAt: summary.createdAt
+  });
+};
+
+module.exports = { generateSummary };
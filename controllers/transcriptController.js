@@ -0,0 +1,68 @@
+const Transcript = require('../models/Transcript');
+const { getTranscriptRecord } = require('../services/transcriptService');
+const { translateTranscript: translateTranscriptService } = require('../services/translationService');
+const { listCaptionTracks } = require('../services/videoService');
+const { transcriptionFor } = require('../middleware/quota');
+const { EXPORT_FORMATS } = require('../utils/transcriptExport');
+const { NotFoundError } = require('../utils/errors');
+const { logger } = require('../config/logger');
+
+const exportTranscript = async (req, res) => {
+  const { videoId } = req.params;
+  const { format, language } = req.query;
+  const exporter = EXPORT_FORMATS[format];
+
+  const record = await getTranscriptRecord(videoId, language, transcriptionFor(req));
+  if (!record?.transcript.length) {
+    throw new NotFoundError("Transcript not available");
+  }
+
+  // without a caption track in the requested language this is the original one, Content-Language says which
+  res
+    .status(200)
+    .attachment(`${videoId}.${record.language}.${format}`)
+    .type(`${exporter.contentType}; charset=utf-8`)
+    .set('Content-Language', record.language)
+    .send(exporter.render(record.transcript, videoId));
+};
+
+// caption tracks YouTube has for the video alongside the transcripts already stored here
+const listTranscriptLanguages = async (req, res) => {
+  const { videoId } = req.params;
+  const [captionTracks, stored] = await Promise.all([
+    listCaptionTracks(videoId).catch(error => {
+      logger.warn(`Caption tracks unavailable for ${videoId}: ${error.message}`);
+      return [];
+    }),
+    Transcript.find({ videoId }).select('language sourceLanguage translatedFrom isOriginal source createdAt').lean()
+  ]);
+  res.status(200).json({
+    videoId,
+    captionTracks,
+    transcripts: stored.map(({ language, sourceLanguage, translatedFrom, isOriginal, source, createdAt }) => ({
+      language,
+      sourceLanguage,
+      translatedFrom,
+      isOriginal,
+      source,
+      createdAt
+    }))
+  });
+};
+
+const translateTranscript = async (req, res) => {
+  const { videoId } = req.params;
+  const translated = await translateTranscriptService(videoId, req.body.targetLanguage, transcriptionFor(req));
+  if (!translated) {
+    throw new NotFoundError("Transcript not available");
+  }
+  res.status(200).json({
+    videoId,
+    language: translated.language,
+    sourceLanguage: translated.sourceLanguage,
+    translatedFrom: translated.translatedFrom,
+    transcript: translated.transcript
+  });
+};
+
+module.exports = { exportTranscript, listTranscriptLanguages, translateTranscript };
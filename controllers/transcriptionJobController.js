@@ -0,0 +1,49 @@
+const TranscriptionJob = require('../models/TranscriptionJob');
+const Transcript = require('../models/Transcript');
+const { enqueueTranscriptionJob, cancelTranscriptionJob } = require('../services/transcriptionJobService');
+const { isWhisperEnabled } = require('../services/transcriptService');
+const { NotFoundError, ConflictError, ServiceUnavailableError } = require('../utils/errors');
+
+const createTranscriptionJob = async (req, res) => {
+  const { videoId, language } = req.body;
+  if (await Transcript.exists(language ? { videoId, language } : { videoId, isOriginal: true })) {
+    return res.status(200).json({ message: "Transcript already available", videoId });
+  }
+  if (!isWhisperEnabled()) {
+    throw new ServiceUnavailableError("Whisper transcription is disabled on this server");
+  }
+  const job = await enqueueTranscriptionJob({ videoId, language, userId: req.user.id });
+  res.status(202).json({ job });
+};
+
+const listTranscriptionJobs = async (req, res) => {
+  const jobs = await TranscriptionJob.find({ videoId: req.query.videoId, user: req.user.id }).sort({ createdAt: -1 }).limit(10).lean();
+  res.status(200).json(jobs);
+};
+
+const getTranscriptionJob = async (req, res) => {
+  const job = await TranscriptionJob.findOne({ _id: req.params.id, user: req.user.id }).lean();
+  if (!job) {
+    throw new NotFoundError("Job not found");
+  }
+  res.status(200).json(job);
+};
+
+const cancelTranscriptionJobController = async (req, res) => {
+  const job = await TranscriptionJob.findOne({ _id: req.params.id, user: req.user.id });
+  if (!job) {
+    throw new NotFoundError("Job not found");
+  }
+  if (!['queued', 'running'].includes(job.status)) {
+    throw new ConflictError(`Job is already ${job.status}`);
+  }
+  const cancelled = await cancelTranscriptionJob(job);
+  res.status(200).json({ message: "Job cancelled", job: cancelled });
+};
+
+module.exports = {
+  createTranscriptionJob,
+  listTranscriptionJobs,
+  getTranscriptionJob,
+  cancelTranscriptionJob: cancelTranscriptionJobController
+};
@@ -0,0 +1,8 @@
+const { getUsageSummary } = require('../services/usageService');
+
+const getUsage = async (req, res) => {
+  const usage = await getUsageSummary(req.user.id);
+  res.status(200).json(usage);
+};
+
+module.exports = { getUsage };
@@ -1,18 +1,13 @@
 const { fetchVideoDetails } = require('../services/videoService');
+const { getStoredChapters } = require('../services/chapterService');
 
 const fetchVideo = async (req, res) => {
-  try {
-    const { videoId } = req.body;
-    if (!videoId) return res.status(400).json({ error: "No video ID provided" });
+  const { videoId } = req.body;
+  const videoDetails = await fetchVideoDetails(videoId);
 
-    const videoDetails = await fetchVideoDetails(videoId);
-    if (!videoDetails) return res.status(404).json({ error: "Video not found" });
-
-    res.json(videoDetails);
-  } catch (error) {
-    console.error('Error fetching video:', error);
-    res.status(500).json({ error: error.message });
-  }
+  // chapters are only returned once generated, POST /generate_chapters creates them
+  const chapters = await getStoredChapters(videoId);
+  res.json({ ...videoDetails, chapters: chapters || [] });
 };
 
 module.exports = { fetchVideo };
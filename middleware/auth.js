@@ -0,0 +1,46 @@
+const jwt = require('jsonwebtoken');
+const { UnauthorizedError } = require('../utils/errors');
+const { logger } = require('../config/logger');
+
+const readBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+const toUser = (payload) => ({ id: payload.sub, email: payload.email });
+
+const requireAuth = (req, res, next) => {
+  const token = readBearerToken(req);
+  if (!token) {
+    return next(new UnauthorizedError());
+  }
+
+  try {
+    req.user = toUser(jwt.verify(token, process.env.JWT_SECRET));
+  } catch (err) {
+    logger.warn(`Rejected token: ${err.message}`);
+    return next(new UnauthorizedError('Invalid or expired token', 'INVALID_TOKEN'));
+  }
+  next();
+};
+
+// attaches req.user when a valid token is present, anonymous requests pass through
+const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) return next();
+  requireAuth(req, res, next);
+};
+
+// the signed-in user without rejecting anything, for middleware that runs before the route's own auth
+const getRequestUser = (req) => {
+  if (req.user) return req.user;
+  const token = readBearerToken(req);
+  if (!token) return null;
+  try {
+    return toUser(jwt.verify(token, process.env.JWT_SECRET));
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = { requireAuth, optionalAuth, getRequestUser };
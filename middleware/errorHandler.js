@@ -0,0 +1,43 @@
+const { AppError, STATUS_CODES } = require('../utils/errors');
+const { logger } = require('../config/logger');
+
+// maps anything thrown to { status, code, message, details, retryAfter }; unexpected errors never leak
+// their message to the client
+const normalizeError = (err) => {
+  if (err instanceof AppError) return err;
+  if (err.type === 'entity.parse.failed') {
+    return { status: 400, code: 'VALIDATION_FAILED', message: 'Malformed JSON body' };
+  }
+  if (err.type === 'entity.too.large') {
+    return { status: 413, code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' };
+  }
+  const status = Number.isInteger(err.status) ? err.status : 500;
+  if (status < 500 && STATUS_CODES[status]) {
+    return { status, code: STATUS_CODES[status], message: err.message, retryAfter: err.retryAfter };
+  }
+  return { status: 500, code: 'INTERNAL_ERROR', message: 'Internal server error' };
+};
+
+// the JSON envelope shared by every error response and the SSE error event
+const toErrorBody = (err) => {
+  const { code, message, details } = normalizeError(err);
+  return { error: { code, message, ...(details ? { details } : {}) } };
+};
+
+const errorHandler = (err, req, res, next) => {
+  const error = normalizeError(err);
+  if (error.status >= 500) {
+    logger.error(`${req.method} ${req.originalUrl} failed: ${err.message}, Stack: ${err.stack}`);
+  } else {
+    logger.warn(`${req.method} ${req.originalUrl} rejected with ${error.code}: ${error.message}`);
+  }
+  if (res.headersSent) return next(err);
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  res.status(error.status).json(toErrorBody(err));
+};
+
+const notFoundHandler = (req, res) => {
+  res.status(404).json({ error: { code: 'NOT_FOUND', message: `Route ${req.method} ${req.path} not found` } });
+};
+
+module.exports = { errorHandler, notFoundHandler, toErrorBody, normalizeError };
@@ -0,0 +1,14 @@
+const { canAccessMedia } = require('../services/mediaService');
+const { NotFoundError } = require('../utils/errors');
+
+// rejects media ids the caller does not own, wherever the route takes its videoId from; runs after auth
+// and validation. a 404 rather than a 403, so other users' media ids cannot be probed
+const requireMediaAccess = async (req, res, next) => {
+  const videoId = req.params.videoId ?? req.body?.videoId ?? req.query?.videoId;
+  if (videoId && !(await canAccessMedia(videoId, req.user?.id))) {
+    return next(new NotFoundError('Media not found'));
+  }
+  next();
+};
+
+module.exports = { requireMediaAccess };
@@ -0,0 +1,51 @@
+const { getUsageSummary, nextReset } = require('../services/usageService');
+const { consumeLimit } = require('./rateLimit');
+const { QuotaExceededError } = require('../utils/errors');
+const { logger } = require('../config/logger');
+
+const QUOTA_CHECKS = {
+  llm: {
+    remaining: summary => summary.llm.remainingTokens,
+    message: 'Daily LLM token quota exceeded'
+  },
+  transcription: {
+    remaining: summary => summary.transcription.remainingMinutes,
+    message: 'Daily transcription quota exceeded'
+  }
+};
+
+// throws once the user has used up today's quota
+async function assertQuota(kind, userId) {
+  const check = QUOTA_CHECKS[kind];
+  let summary;
+  try {
+    summary = await getUsageSummary(userId);
+  } catch (err) {
+    // accounting problems should not block requests
+    logger.warn(`Quota check failed for user ${userId}: ${err.message}`);
+    return;
+  }
+  if (check.remaining(summary) > 0) return;
+  const retryAfter = Math.ceil((nextReset() - Date.now()) / 1000);
+  throw new QuotaExceededError(check.message, { retryAfter, details: { resetsAt: summary.resetsAt } });
+}
+
+// rejects signed-in users who used up today's quota; anonymous requests are only rate limited.
+// runs after the route's auth middleware
+const requireQuota = (kind) => async (req, res, next) => {
+  if (!req.user) return next();
+  await assertQuota(kind, req.user.id);
+  next();
+};
+
+// handed to services whose reads can fall back to an on-demand Whisper job, so the job runs for the caller
+// and is charged like POST /transcription_jobs: the transcription rate limit and, when signed in, the daily quota
+const transcriptionFor = (req) => ({
+  userId: req.user?.id || null,
+  charge: async () => {
+    await consumeLimit('transcription', req);
+    if (req.user) await assertQuota('transcription', req.user.id);
+  }
+});
+
+module.exports = { requireQuota, assertQuota, transcriptionFor };
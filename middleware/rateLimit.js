@@ -0,0 +1,111 @@
+const rateLimit = require('express-rate-limit');
+const RateLimit = require('../models/RateLimit');
+const { getRequestUser } = require('./auth');
+const { RateLimitError } = require('../utils/errors');
+const { logger } = require('../config/logger');
+
+// express-rate-limit store backed by Mongo, so every instance behind a load balancer counts the same hits
+class MongoStore {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  // one atomic upsert: an expired window starts over at 1, a live one is incremented
+  async increment(key) {
+    const now = new Date();
+    const live = { $gt: ['$resetAt', now] };
+    const doc = await RateLimit.collection.findOneAndUpdate(
+      { key: this.prefix + key },
+      [{
+        $set: {
+          hits: { $cond: [live, { $add: ['$hits', 1] }, 1] },
+          resetAt: { $cond: [live, '$resetAt', new Date(now.getTime() + this.windowMs)] }
+        }
+      }],
+      { upsert: true, returnDocument: 'after' }
+    );
+    return { totalHits: doc.hits, resetTime: doc.resetAt };
+  }
+
+  async decrement(key) {
+    await RateLimit.updateOne({ key: this.prefix + key, hits: { $gt: 0 } }, { $inc: { hits: -1 } });
+  }
+
+  async resetKey(key) {
+    await RateLimit.deleteOne({ key: this.prefix + key });
+  }
+}
+
+// limit and window per group, overridable as RATE_LIMIT_<NAME>=<requests>/<minutes>
+const DEFAULT_LIMITS = {
+  default: { limit: 300, minutes: 15 },
+  auth: { limit: 10, minutes: 15 },
+  llm: { limit: 30, minutes: 15 },
+  transcription: { limit: 10, minutes: 60 }
+};
+
+const getLimitConfig = (name) => {
+  const override = /^(\d+)\/(\d+(?:\.\d+)?)$/.exec(process.env[`RATE_LIMIT_${name.toUpperCase()}`] || '');
+  if (override) return { limit: Number(override[1]), minutes: Number(override[2]) };
+  return DEFAULT_LIMITS[name];
+};
+
+// signed-in users are limited per account, so users behind one NAT do not block each other
+const clientKey = (req) => {
+  const user = getRequestUser(req);
+  return user ? `user:${user.id}` : `ip:${req.ip}`;
+};
+
+const retryAfterSeconds = (resetTime) =>
+  resetTime ? Math.max(1, Math.ceil((resetTime - Date.now()) / 1000)) : undefined;
+
+const stores = {};
+
+const createLimiter = (name) => {
+  const { limit, minutes } = getLimitConfig(name);
+  stores[name] = new MongoStore(`${name}:`);
+  return rateLimit({
+    windowMs: minutes * 60 * 1000,
+    limit,
+    keyGenerator: clientKey,
+    store: stores[name],
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    // a store outage should not take the API down with it
+    passOnStoreError: true,
+    handler: (req, res, next) => {
+      logger.warn(`Rate limit ${name} exceeded by ${clientKey(req)} on ${req.method} ${req.path}`);
+      next(new RateLimitError(undefined, retryAfterSeconds(req.rateLimit.resetTime)));
+    }
+  });
+};
+
+const limiters = {
+  default: createLimiter('default'),
+  auth: createLimiter('auth'),
+  llm: createLimiter('llm'),
+  transcription: createLimiter('transcription')
+};
+
+// counts a hit for work a route starts without its limiter, e.g. a transcription queued on demand.
+// shares the limiter's store and keys, so both paths draw from the same budget
+async function consumeLimit(name, req) {
+  const key = clientKey(req);
+  let hits;
+  try {
+    hits = await stores[name].increment(key);
+  } catch (err) {
+    logger.warn(`Rate limit store unavailable for ${name}: ${err.message}`);
+    return;
+  }
+  if (hits.totalHits <= getLimitConfig(name).limit) return;
+  logger.warn(`Rate limit ${name} exceeded by ${key} on ${req.method} ${req.path}`);
+  throw new RateLimitError(undefined, retryAfterSeconds(hits.resetTime));
+}
+
+module.exports = { limiters, consumeLimit, MongoStore };
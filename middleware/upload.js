@@ -0,0 +1,48 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { ValidationError, PayloadTooLargeError } = require('../utils/errors');
+const { logger } = require('../config/logger');
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+const MEDIA_EXTENSIONS = ['.mp4', '.mp3', '.wav', '.m4a'];
+
+const storage = multer.diskStorage({
+  destination: UPLOAD_DIR,
+  // the client's file name is kept on the media item only, never used as a path
+  filename: (req, file, cb) => cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`)
+});
+
+const fileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (!MEDIA_EXTENSIONS.includes(extension)) {
+    return cb(new ValidationError(`Unsupported file type, use one of: ${MEDIA_EXTENSIONS.join(', ')}`));
+  }
+  cb(null, true);
+};
+
+const parseMediaUpload = multer({
+  storage,
+  fileFilter,
+  limits: { fileSize: (Number(process.env.MEDIA_MAX_UPLOAD_MB) || 500) * 1024 * 1024, files: 1 }
+}).single('file');
+
+// single "file" field; multer's own errors are mapped onto the API's error types
+const uploadMedia = (req, res, next) => {
+  parseMediaUpload(req, res, (err) => {
+    if (!(err instanceof multer.MulterError)) return next(err);
+    logger.warn(`Rejected upload: ${err.message}`);
+    next(err.code === 'LIMIT_FILE_SIZE' ? new PayloadTooLargeError(err.message) : new ValidationError(err.message));
+  });
+};
+
+// error middleware for upload routes: a request rejected after multer stored the file must not leave it behind
+const discardUploadOnError = (err, req, res, next) => {
+  if (!req.file) return next(err);
+  fs.unlink(req.file.path)
+    .catch(error => logger.warn(`Failed to discard upload ${req.file.path}: ${error.message}`))
+    .finally(() => next(err));
+};
+
+module.exports = { uploadMedia, discardUploadOnError, UPLOAD_DIR, MEDIA_EXTENSIONS };
@@ -0,0 +1,24 @@
+const { ValidationError } = require('../utils/errors');
+
+const formatIssues = (part, issues) => issues.map(issue => ({
+  path: [part, ...issue.path].join('.'),
+  message: issue.message
+}));
+
+// validates req.params, req.query and req.body against zod schemas; parsed values replace the raw ones,
+// so handlers see defaults and coerced types
+const validate = (schemas) => (req, res, next) => {
+  for (const part of ['params', 'query', 'body']) {
+    if (!schemas[part]) continue;
+    const result = schemas[part].safeParse(req[part] ?? {});
+    if (!result.success) {
+      const details = formatIssues(part, result.error.issues);
+      return next(new ValidationError(`${details[0].path}: ${details[0].message}`, details));
+    }
+    // express 5 exposes req.query through a getter, so the parsed copy is defined on the request itself
+    Object.defineProperty(req, part, { value: result.data, writable: true, configurable: true, enumerable: true });
+  }
+  next();
+};
+
+module.exports = { validate };
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  role: { type: String, enum: ['user', 'assistant'], required: true },
+  content: { type: String, required: true },
+  citations: [
+    {
+      ref: Number,
+      offset: Number,
+      duration: Number,
+      timestamp: String,
+      url: String,
+      text: String
+    }
+  ],
+  model: String,
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  videoId: { type: String, required: true },
+  title: { type: String, default: '' },
+  // answer language, null answers in whatever language fits the transcript and query
+  language: { type: String, default: null },
+  messages: [messageSchema]
+}, { timestamps: true });
+
+conversationSchema.index({ user: 1, videoId: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
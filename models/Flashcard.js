@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const flashcardSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  videoId: { type: String, default: '' },
+  note: { type: mongoose.Schema.Types.ObjectId, ref: 'Note' },
+  front: { type: String, required: true },
+  back: { type: String, required: true },
+  source: { type: String, enum: ['ai', 'manual'], default: 'manual' },
+  // milliseconds into the video the card was drawn from, if any
+  offset: Number,
+  // SM-2 scheduling state
+  ease: { type: Number, default: 2.5 },
+  interval: { type: Number, default: 0 },
+  repetitions: { type: Number, default: 0 },
+  dueAt: { type: Date, default: Date.now },
+  lastReviewedAt: Date,
+  reviewCount: { type: Number, default: 0 }
+}, { timestamps: true });
+
+flashcardSchema.index({ user: 1, dueAt: 1 });
+
+module.exports = mongoose.model('Flashcard', flashcardSchema);
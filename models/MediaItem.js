@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const mediaItemSchema = new mongoose.Schema({
+  // used wherever a YouTube videoId would be: transcripts, notes, conversations, search
+  mediaId: { type: String, required: true, unique: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  kind: { type: String, enum: ['upload', 'url'], required: true },
+  title: { type: String, required: true },
+  description: { type: String, default: '' },
+  // uploads keep the original file on disk until the item is deleted, urls are downloaded by yt-dlp
+  filePath: String,
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  sourceUrl: String,
+  language: { type: String, default: null }
+}, { timestamps: true });
+
+// the stored path is server-side detail, clients only ever see the mediaId
+mediaItemSchema.methods.toJSON = function () {
+  const { mediaId, kind, title, description, originalName, mimeType, size, sourceUrl, language, createdAt } = this;
+  return { mediaId, kind, title, description, originalName, mimeType, size, sourceUrl, language, createdAt };
+};
+
+module.exports = mongoose.model('MediaItem', mediaItemSchema);
@@ -1,10 +1,18 @@
 const mongoose = require('mongoose');
 
 const noteSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
   videoId: { type: String, default: '' },
   title: { type: String, default: '' },
+  // markdown source, contentHtml is the sanitized rendering clients should display
   content: { type: String, required: true },
-  createdAt: { type: Date, default: Date.now }
-});
+  contentHtml: { type: String, default: '' },
+  // seconds into the video the note refers to
+  timestamp: { type: Number, min: 0, default: null },
+  tags: { type: [String], default: [], index: true }
+}, { timestamps: true });
+
+noteSchema.index({ owner: 1, videoId: 1, createdAt: -1 });
+noteSchema.index({ title: 'text', content: 'text' });
 
 module.exports = mongoose.model('Note', noteSchema);
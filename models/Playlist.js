@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const playlistSchema = new mongoose.Schema({
+  playlistId: { type: String, required: true, unique: true },
+  title: String,
+  description: String,
+  channelId: String,
+  channelTitle: String,
+  thumbnail: String,
+  videoCount: Number,
+  unavailableCount: { type: Number, default: 0 },
+  totalDuration: Number,
+  videos: [
+    {
+      _id: false,
+      id: String,
+      title: String,
+      thumbnail: String,
+      position: Number,
+      duration: Number
+    }
+  ],
+  // playlists are edited more often than videos, so keep the cache short
+  createdAt: { type: Date, default: Date.now, index: { expires: '12h' } }
+});
+
+module.exports = mongoose.model('Playlist', playlistSchema);
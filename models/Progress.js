@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+const progressSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  videoId: { type: String, required: true },
+  // seconds
+  position: { type: Number, default: 0, min: 0 },
+  duration: { type: Number, default: 0, min: 0 },
+  watchedPercent: { type: Number, default: 0, min: 0, max: 100 },
+  completed: { type: Boolean, default: false }
+}, { timestamps: true });
+
+progressSchema.index({ user: 1, videoId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Progress', progressSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const questionSchema = new mongoose.Schema({
+  type: { type: String, enum: ['multiple_choice', 'short_answer'], required: true },
+  question: { type: String, required: true },
+  options: [String],
+  answerIndex: Number,
+  answer: { type: String, required: true },
+  explanation: String,
+  // milliseconds into the video, like transcript segments
+  offset: Number,
+  timestamp: String,
+  url: String
+});
+
+const attemptSchema = new mongoose.Schema({
+  answers: [mongoose.Schema.Types.Mixed],
+  results: [{ _id: false, correct: Boolean }],
+  score: Number,
+  total: Number,
+  submittedAt: { type: Date, default: Date.now }
+});
+
+const quizSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  videoId: { type: String, required: true },
+  title: String,
+  questions: [questionSchema],
+  attempts: [attemptSchema]
+}, { timestamps: true });
+
+quizSchema.index({ user: 1, videoId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Quiz', quizSchema);
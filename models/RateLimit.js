@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// one counter per limiter and client, shared by every server instance
+const rateLimitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  hits: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true, index: { expires: 0 } }
+});
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const responseCacheSchema = new mongoose.Schema({
+  // hash of the normalized query, videoId, transcript version, answer language and model chain
+  key: { type: String, required: true, unique: true },
+  videoId: { type: String, required: true, index: true },
+  query: String,
+  transcriptVersion: String,
+  models: String,
+  response: {
+    content: String,
+    transcriptAvailable: Boolean,
+    model: String,
+    citations: [
+      {
+        _id: false,
+        ref: Number,
+        offset: Number,
+        duration: Number,
+        timestamp: String,
+        url: String,
+        text: String
+      }
+    ]
+  },
+  hits: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ResponseCache', responseCacheSchema);
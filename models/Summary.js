@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const summarySchema = new mongoose.Schema({
+  videoId: { type: String, required: true },
+  type: { type: String, enum: ['tldr', 'paragraph', 'detailed'], required: true },
+  // the transcript document summarised; a regenerated transcript makes the summary stale
+  transcript: { type: mongoose.Schema.Types.ObjectId, ref: 'Transcript', required: true },
+  language: String,
+  content: { type: String, required: true },
+  chunkCount: Number,
+  model: String,
+  createdAt: { type: Date, default: Date.now, index: { expires: '30d' } }
+});
+
+summarySchema.index({ videoId: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model('Summary', summarySchema);
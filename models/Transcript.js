@@ -1,7 +1,32 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
+// start and end are milliseconds like segment offsets
+const sectionSchema = new mongoose.Schema({
+  title: String,
+  summary: String,
+  start: Number,
+  end: Number
+}, { _id: false });
+
+const chapterSchema = new mongoose.Schema({
+  title: String,
+  summary: String,
+  start: Number,
+  end: Number,
+  sections: [sectionSchema]
+}, { _id: false });
+
 const transcriptSchema = new mongoose.Schema({
-  videoId: { type: String, required: true, unique: true },
+  videoId: { type: String, required: true, index: true },
+  language: { type: String, required: true, default: 'en' },
+  // language the audio or caption track was in; differs from language for translations
+  sourceLanguage: { type: String, default: null },
+  translatedFrom: { type: String, default: null },
+  // the video's own transcript, from its default caption track or its audio; chapters, summaries and
+  // retrieval use it whatever languages were requested first
+  isOriginal: { type: Boolean, default: false },
+  source: { type: String, enum: ['youtube', 'whisper', 'translation'], default: 'youtube' },
   transcript: [
     {
       text: String,
@@ -9,7 +34,28 @@ const transcriptSchema = new mongoose.Schema({
       duration: Number
     }
   ],
+  // hash of the segments, changes whenever the transcript is regenerated with different content
+  version: String,
+  chapters: { type: [chapterSchema], default: undefined },
+  chaptersGeneratedAt: Date,
   createdAt: { type: Date, default: Date.now, index: { expires: '30d' } } 
 });
 
-module.exports = mongoose.model('Transcript', transcriptSchema);
\ No newline at end of file
+transcriptSchema.statics.computeVersion = (segments) => crypto
+  .createHash('sha1')
+  .update(JSON.stringify(segments.map(({ text, offset, duration }) => [text, offset, duration])))
+  .digest('hex')
+  .slice(0, 16);
+
+transcriptSchema.pre('validate', function () {
+  if (this.isModified('transcript') || !this.version) {
+    this.version = this.constructor.computeVersion(this.transcript);
+  }
+});
+
+transcriptSchema.index({ videoId: 1, language: 1 }, { unique: true });
+// mongo reads a `language` field as the text index language and rejects codes it cannot stem (hi, ja, pt-BR),
+// so the override points at a field that is never set and transcripts are indexed without stemming
+transcriptSchema.index({ 'transcript.text': 'text' }, { language_override: 'textSearchLanguage', default_language: 'none' });
+
+module.exports = mongoose.model('Transcript', transcriptSchema);
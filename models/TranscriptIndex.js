@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const transcriptIndexSchema = new mongoose.Schema({
+  videoId: { type: String, required: true, unique: true },
+  // Transcript.computeVersion of the indexed segments; any other version means the index is stale
+  transcriptVersion: { type: String, required: true },
+  avgLength: { type: Number, default: 0 },
+  docFreqs: { type: Map, of: Number, default: {} },
+  chunks: [
+    {
+      text: String,
+      offset: Number,
+      duration: Number,
+      segmentStart: Number,
+      segmentEnd: Number,
+      length: Number,
+      terms: { type: Map, of: Number }
+    }
+  ],
+  createdAt: { type: Date, default: Date.now, index: { expires: '30d' } }
+});
+
+module.exports = mongoose.model('TranscriptIndex', transcriptIndexSchema);
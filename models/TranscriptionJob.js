@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const transcriptionJobSchema = new mongoose.Schema({
+  videoId: { type: String, required: true },
+  // where the audio comes from: a YouTube video, an uploaded file or a url handed to yt-dlp
+  source: { type: String, enum: ['youtube', 'upload', 'url'], default: 'youtube' },
+  // null lets Whisper detect the spoken language
+  language: { type: String, default: null },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  stage: { type: String, default: 'queued' },
+  progress: {
+    completedChunks: { type: Number, default: 0 },
+    totalChunks: { type: Number, default: 0 },
+    percent: { type: Number, default: 0 }
+  },
+  error: String,
+  attempts: { type: Number, default: 0 },
+  // refreshed while a worker holds the job, a stale value means the worker died
+  lockedAt: Date,
+  startedAt: Date,
+  finishedAt: Date
+}, { timestamps: true });
+
+transcriptionJobSchema.index({ status: 1, createdAt: 1 });
+transcriptionJobSchema.index({ videoId: 1, user: 1, createdAt: -1 });
+// at most one queued or running job per video, so concurrent requests cannot transcribe the same audio twice
+transcriptionJobSchema.index(
+  { videoId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['queued', 'running'] } } }
+);
+
+module.exports = mongoose.model('TranscriptionJob', transcriptionJobSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// per-user totals for one UTC day
+const usageSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  day: { type: String, required: true }, // YYYY-MM-DD
+  llmTokens: { type: Number, default: 0 },
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  llmRequests: { type: Number, default: 0 },
+  transcriptionMinutes: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now, index: { expires: '90d' } }
+});
+
+usageSchema.index({ user: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('Usage', usageSchema);
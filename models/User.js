@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+const userSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, default: '' },
+  passwordHash: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+userSchema.methods.toJSON = function () {
+  const { _id, email, name, createdAt } = this;
+  return { id: _id, email, name, createdAt };
+};
+
+module.exports = mongoose.model('User', userSchema);
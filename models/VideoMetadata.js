@@ -4,7 +4,15 @@ const videoMetadataSchema = new mongoose.Schema({
   videoId: { type: String, required: true, unique: true },
   title: String,
   description: String,
+  thumbnail: String,
+  channelId: String,
+  channelTitle: String,
+  publishedAt: Date,
+  // seconds
+  duration: Number,
+  tags: [String],
+  captionLanguages: [String],
   createdAt: { type: Date, default: Date.now, index: { expires: '30d' } }
 });
 
-module.exports = mongoose.model('VideoMtadata', videoMetadataSchema);
+module.exports = mongoose.model('VideoMetadata', videoMetadataSchema);
@@ -0,0 +1,26 @@
+const express = require('express');
+const { signup, login, getCurrentUser } = require('../controllers/authController');
+const { requireAuth } = require('../middleware/auth');
+const { limiters } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { z } = require('../utils/validation');
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const signupBody = z.object({
+  email: z.string().trim().email('A valid email is required'),
+  password: z.string().min(MIN_PASSWORD_LENGTH, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`).max(200),
+  name: z.string().trim().max(100).default('')
+});
+
+const loginBody = z.object({
+  email: z.string().trim().min(1, 'Email is required'),
+  password: z.string().min(1, 'Password is required')
+});
+
+router.post('/auth/signup', limiters.auth, validate({ body: signupBody }), signup);
+router.post('/auth/login', limiters.auth, validate({ body: loginBody }), login);
+router.get('/auth/me', requireAuth, getCurrentUser);
+
+module.exports = router;
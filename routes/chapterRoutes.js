@@ -0,0 +1,18 @@
+const express = require('express');
+const { generateChapters } = require('../controllers/chapterController');
+const { requireAuth } = require('../middleware/auth');
+const { limiters } = require('../middleware/rateLimit');
+const { requireQuota } = require('../middleware/quota');
+const { validate } = require('../middleware/validate');
+const { requireMediaAccess } = require('../middleware/mediaAccess');
+const { z, videoId } = require('../utils/validation');
+const router = express.Router();
+
+const generateBody = z.object({
+  videoId,
+  force: z.boolean().default(false)
+});
+
+router.post('/generate_chapters', requireAuth, limiters.llm, requireQuota('llm'), validate({ body: generateBody }), requireMediaAccess, generateChapters);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const {
+  createConversation,
+  listConversations,
+  getConversation,
+  sendMessage,
+  deleteConversation
+} = require('../controllers/conversationController');
+const { requireAuth } = require('../middleware/auth');
+const { limiters } = require('../middleware/rateLimit');
+const { requireQuota } = require('../middleware/quota');
+const { validate } = require('../middleware/validate');
+const { requireMediaAccess } = require('../middleware/mediaAccess');
+const { z, videoId, optionalLanguage, nonEmptyText, idParams } = require('../utils/validation');
+const router = express.Router();
+
+const MAX_QUERY_LENGTH = 2000;
+
+const createBody = z.object({
+  videoId,
+  query: nonEmptyText(MAX_QUERY_LENGTH).optional(),
+  title: z.string().trim().max(200).optional(),
+  language: optionalLanguage
+});
+
+const messageBody = z.object({ query: nonEmptyText(MAX_QUERY_LENGTH) });
+
+const listQuery = z.object({ videoId: videoId.optional() });
+
+router.post('/conversations', requireAuth, limiters.llm, requireQuota('llm'), validate({ body: createBody }), requireMediaAccess, createConversation);
+router.get('/conversations', requireAuth, validate({ query: listQuery }), listConversations);
+router.get('/conversations/:id', requireAuth, validate({ params: idParams }), getConversation);
+router.post('/conversations/:id/messages', requireAuth, limiters.llm, requireQuota('llm'), validate({ params: idParams, body: messageBody }), sendMessage);
+router.delete('/conversations/:id', requireAuth, validate({ params: idParams }), deleteConversation);
+
+module.exports = router;
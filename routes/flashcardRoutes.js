@@ -0,0 +1,52 @@
+const express = require('express');
+const {
+  generateCards,
+  createCard,
+  listCards,
+  getDueCards,
+  reviewCard,
+  updateCard,
+  deleteCard
+} = require('../controllers/flashcardController');
+const { requireAuth } = require('../middleware/auth');
+const { limiters } = require('../middleware/rateLimit');
+const { requireQuota } = require('../middleware/quota');
+const { validate } = require('../middleware/validate');
+const { requireMediaAccess } = require('../middleware/mediaAccess');
+const { z, objectId, videoId, queryInt, idParams } = require('../utils/validation');
+const router = express.Router();
+
+const MAX_CARD_TEXT = 2000;
+
+const generateBody = z.object({
+  videoId: videoId.optional(),
+  noteIds: z.array(objectId).min(1).max(50).optional(),
+  count: z.number().int().min(1).max(30).default(10)
+}).refine(body => body.videoId || body.noteIds, { message: 'Provide a video ID or a list of note IDs', path: ['videoId'] });
+
+const createBody = z.object({
+  front: z.string().trim().min(1, 'Front is required').max(MAX_CARD_TEXT),
+  back: z.string().trim().min(1, 'Back is required').max(MAX_CARD_TEXT),
+  videoId: z.string().trim().max(100).default('')
+});
+
+const updateBody = z.object({
+  front: z.string().trim().min(1, 'Front cannot be empty').max(MAX_CARD_TEXT).optional(),
+  back: z.string().trim().min(1, 'Back cannot be empty').max(MAX_CARD_TEXT).optional()
+});
+
+const reviewBody = z.object({ quality: z.number().int().min(0).max(5) });
+
+const listQuery = z.object({ videoId: videoId.optional() });
+
+const dueQuery = z.object({ videoId: videoId.optional(), limit: queryInt(1, 100).optional() });
+
+router.post('/flashcards/generate', requireAuth, limiters.llm, requireQuota('llm'), validate({ body: generateBody }), requireMediaAccess, generateCards);
+router.get('/flashcards/due', requireAuth, validate({ query: dueQuery }), getDueCards);
+router.post('/flashcards', requireAuth, validate({ body: createBody }), createCard);
+router.get('/flashcards', requireAuth, validate({ query: listQuery }), listCards);
+router.post('/flashcards/:id/review', requireAuth, validate({ params: idParams, body: reviewBody }), reviewCard);
+router.put('/flashcards/:id', requireAuth, validate({ params: idParams, body: updateBody }), updateCard);
+router.delete('/flashcards/:id', requireAuth, validate({ params: idParams }), deleteCard);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const { uploadMedia, linkMedia, listMedia, getMedia, deleteMedia } = require('../controllers/mediaController');
+const { requireAuth } = require('../middleware/auth');
+const { uploadMedia: parseUpload, discardUploadOnError } = require('../middleware/upload');
+const { limiters } = require('../middleware/rateLimit');
+const { requireQuota } = require('../middleware/quota');
+const { validate } = require('../middleware/validate');
+const { z, optionalLanguage } = require('../utils/validation');
+const { isMediaId } = require('../utils/mediaIds');
+const router = express.Router();
+
+// multipart fields arrive as strings
+const uploadBody = z.object({
+  title: z.string().trim().max(200).optional(),
+  language: optionalLanguage
+});
+
+const linkBody = z.object({
+  url: z.string().trim().min(1, 'No URL provided').max(2000),
+  title: z.string().trim().max(200).optional(),
+  language: optionalLanguage
+});
+
+const mediaParams = z.object({ mediaId: z.string().refine(isMediaId, 'Invalid media ID') });
+
+router.post(
+  '/media/upload',
+  requireAuth,
+  limiters.transcription,
+  requireQuota('transcription'),
+  parseUpload,
+  validate({ body: uploadBody }),
+  uploadMedia,
+  discardUploadOnError
+);
+router.post('/media/url', requireAuth, limiters.transcription, requireQuota('transcription'), validate({ body: linkBody }), linkMedia);
+router.get('/media', requireAuth, listMedia);
+router.get('/media/:mediaId', requireAuth, validate({ params: mediaParams }), getMedia);
+router.delete('/media/:mediaId', requireAuth, validate({ params: mediaParams }), deleteMedia);
+
+module.exports = router;
@@ -1,11 +1,49 @@
 const express = require('express');
-const { saveNote, getNotes, deleteNote, updateNote } = require('../controllers/noteController');
+const { saveNote, getNotes, deleteNote, updateNote, exportNotes } = require('../controllers/noteController');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { NOTE_EXPORT_FORMATS } = require('../services/noteExportService');
+const { z, videoId, playlistId, pagination, idParams } = require('../utils/validation');
 const router = express.Router();
 
-router.post('/notes', saveNote);
-router.post('/save_note', saveNote);// backward compatibility
-router.get('/notes', getNotes);
-router.delete('/notes/:id', deleteNote);
-router.put('/notes/:id', updateNote);
+const MAX_CONTENT_LENGTH = 50000;
 
-module.exports = router;
\ No newline at end of file
+const noteFields = {
+  videoId: z.string().trim().max(100).nullable().optional(),
+  title: z.string().max(200).nullable().optional(),
+  content: z.string().trim().min(1, 'Content is required').max(MAX_CONTENT_LENGTH),
+  // seconds into the video
+  timestamp: z.number().finite().nonnegative('Timestamp must be a non-negative number of seconds').nullable().optional(),
+  tags: z.array(z.string().max(100), { invalid_type_error: 'Tags must be a list of strings' }).max(100).optional()
+};
+
+const createBody = z.object(noteFields);
+
+const updateBody = z.object({ ...noteFields, content: noteFields.content.optional() });
+
+const listQuery = z.object({
+  videoId: videoId.optional(),
+  tag: z.string().trim().max(100).optional(),
+  from: z.coerce.date({ invalid_type_error: "Invalid 'from' date" }).optional(),
+  to: z.coerce.date({ invalid_type_error: "Invalid 'to' date" }).optional(),
+  ...pagination
+});
+
+// "anki" is an alias for the csv export
+const exportQuery = z.object({
+  videoId: videoId.optional(),
+  playlistId: playlistId.optional(),
+  format: z.string().toLowerCase().default('md')
+    .pipe(z.enum([...Object.keys(NOTE_EXPORT_FORMATS), 'anki'], {
+      errorMap: () => ({ message: `Unsupported format, use one of: ${Object.keys(NOTE_EXPORT_FORMATS).join(', ')}` })
+    }))
+}).refine(query => query.videoId || query.playlistId, { message: 'Provide a video ID or playlist ID', path: ['videoId'] });
+
+router.post('/notes', requireAuth, validate({ body: createBody }), saveNote);
+router.post('/save_note', requireAuth, validate({ body: createBody }), saveNote);// backward compatibility
+router.get('/notes', requireAuth, validate({ query: listQuery }), getNotes);
+router.get('/notes/export', requireAuth, validate({ query: exportQuery }), exportNotes);
+router.delete('/notes/:id', requireAuth, validate({ params: idParams }), deleteNote);
+router.put('/notes/:id', requireAuth, validate({ params: idParams, body: updateBody }), updateNote);
+
+module.exports = router;
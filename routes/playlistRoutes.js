@@ -1,7 +1,9 @@
 const express = require('express');
 const { fetchPlaylist } = require('../controllers/playlistController');
+const { validate } = require('../middleware/validate');
+const { z, playlistId } = require('../utils/validation');
 const router = express.Router();
 
-router.post('/fetch_playlist', fetchPlaylist);
+router.post('/fetch_playlist', validate({ body: z.object({ playlistId }) }), fetchPlaylist);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const { updateProgress, getProgress, getPlaylistProgress } = require('../controllers/progressController');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { z, videoId, playlistId } = require('../utils/validation');
+const router = express.Router();
+
+const seconds = (field) => z.number().finite().nonnegative(`${field} must be a non-negative number of seconds`);
+
+const progressBody = z.object({
+  position: seconds('Position').optional(),
+  duration: seconds('Duration').optional(),
+  completed: z.boolean().optional()
+});
+
+const videoParams = z.object({ videoId });
+
+router.get('/progress/playlist/:playlistId', requireAuth, validate({ params: z.object({ playlistId }) }), getPlaylistProgress);
+router.get('/progress/:videoId', requireAuth, validate({ params: videoParams }), getProgress);
+router.put('/progress/:videoId', requireAuth, validate({ params: videoParams, body: progressBody }), updateProgress);
+
+module.exports = router;
@@ -1,7 +1,21 @@
 const express = require('express');
-const { answerQuery } = require('../controllers/queryController');
+const { answerQuery, streamQuery } = require('../controllers/queryController');
+const { optionalAuth } = require('../middleware/auth');
+const { limiters } = require('../middleware/rateLimit');
+const { requireQuota } = require('../middleware/quota');
+const { validate } = require('../middleware/validate');
+const { requireMediaAccess } = require('../middleware/mediaAccess');
+const { z, videoId, optionalLanguage, nonEmptyText } = require('../utils/validation');
 const router = express.Router();
 
-router.post('/answer_query', answerQuery);
+const queryBody = z.object({
+  videoId,
+  query: nonEmptyText(2000),
+  language: optionalLanguage,
+  noCache: z.boolean().optional()
+});
+
+router.post('/answer_query', optionalAuth, limiters.llm, requireQuota('llm'), validate({ body: queryBody }), requireMediaAccess, answerQuery);
+router.post('/answer_query/stream', optionalAuth, limiters.llm, requireQuota('llm'), validate({ body: queryBody }), requireMediaAccess, streamQuery);
 
 module.exports = router;
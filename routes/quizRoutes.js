@@ -0,0 +1,29 @@
+const express = require('express');
+const { generateQuiz, listQuizzes, getQuiz, submitQuiz, getQuizAttempts } = require('../controllers/quizController');
+const { requireAuth } = require('../middleware/auth');
+const { limiters } = require('../middleware/rateLimit');
+const { requireQuota } = require('../middleware/quota');
+const { validate } = require('../middleware/validate');
+const { requireMediaAccess } = require('../middleware/mediaAccess');
+const { z, videoId, idParams } = require('../utils/validation');
+const router = express.Router();
+
+const generateBody = z.object({
+  videoId,
+  count: z.number().int().min(1).max(20).default(5)
+});
+
+// multiple choice answers are option indexes, short answers are text; unanswered questions are null
+const gradeBody = z.object({
+  answers: z.array(z.union([z.number().int(), z.string().max(2000), z.null()]), { invalid_type_error: 'Answers must be an array' })
+});
+
+const listQuery = z.object({ videoId: videoId.optional() });
+
+router.post('/generate_quiz', requireAuth, limiters.llm, requireQuota('llm'), validate({ body: generateBody }), requireMediaAccess, generateQuiz);
+router.get('/quizzes', requireAuth, validate({ query: listQuery }), listQuizzes);
+router.get('/quizzes/:id', requireAuth, validate({ params: idParams }), getQuiz);
+router.post('/quizzes/:id/grade', requireAuth, validate({ params: idParams, body: gradeBody }), submitQuiz);
+router.get('/quizzes/:id/attempts', requireAuth, validate({ params: idParams }), getQuizAttempts);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const { searchContent } = require('../controllers/searchController');
+const { optionalAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { SEARCH_TYPES } = require('../services/searchService');
+const { z, videoId, playlistId, queryInt } = require('../utils/validation');
+const router = express.Router();
+
+const searchQuery = z.object({
+  q: z.string().trim().min(1, 'Search query is required').max(500),
+  videoId: videoId.optional(),
+  playlistId: playlistId.optional(),
+  type: z.enum(SEARCH_TYPES, { errorMap: () => ({ message: `Type must be one of: ${SEARCH_TYPES.join(', ')}` }) }).optional(),
+  page: queryInt(1, 10000).optional(),
+  limit: queryInt(1, 50).optional()
+});
+
+// notes are only searched for signed-in users
+router.get('/search', optionalAuth, validate({ query: searchQuery }), searchContent);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const { generateSummary } = require('../controllers/summaryController');
+const { requireAuth } = require('../middleware/auth');
+const { limiters } = require('../middleware/rateLimit');
+const { requireQuota } = require('../middleware/quota');
+const { validate } = require('../middleware/validate');
+const { requireMediaAccess } = require('../middleware/mediaAccess');
+const { SUMMARY_TYPES } = require('../services/summaryService');
+const { z, videoId } = require('../utils/validation');
+const router = express.Router();
+
+const summaryTypes = Object.keys(SUMMARY_TYPES);
+
+const generateBody = z.object({
+  videoId,
+  type: z.enum(summaryTypes, { errorMap: () => ({ message: `Unsupported summary type, use one of: ${summaryTypes.join(', ')}` }) })
+    .default('paragraph'),
+  force: z.boolean().default(false)
+});
+
+router.post('/generate_summary', requireAuth, limiters.llm, requireQuota('llm'), validate({ body: generateBody }), requireMediaAccess, generateSummary);
+
+module.exports = router;
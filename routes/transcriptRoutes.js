@@ -0,0 +1,38 @@
+const express = require('express');
+const { exportTranscript, listTranscriptLanguages, translateTranscript } = require('../controllers/transcriptController');
+const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { limiters } = require('../middleware/rateLimit');
+const { requireQuota } = require('../middleware/quota');
+const { validate } = require('../middleware/validate');
+const { requireMediaAccess } = require('../middleware/mediaAccess');
+const { EXPORT_FORMATS } = require('../utils/transcriptExport');
+const { z, videoId, language, optionalLanguage } = require('../utils/validation');
+const router = express.Router();
+
+const formats = Object.keys(EXPORT_FORMATS);
+
+const videoParams = z.object({ videoId });
+
+const exportQuery = z.object({
+  format: z.string().toLowerCase().default('json')
+    .pipe(z.enum(formats, { errorMap: () => ({ message: `Unsupported format, use one of: ${formats.join(', ')}` }) })),
+  language: optionalLanguage
+});
+
+const translateBody = z.object({
+  targetLanguage: z.string({ required_error: 'Target language is required' }).pipe(language)
+});
+
+router.get('/transcripts/:videoId', optionalAuth, validate({ params: videoParams, query: exportQuery }), requireMediaAccess, exportTranscript);
+router.get('/transcripts/:videoId/languages', optionalAuth, validate({ params: videoParams }), requireMediaAccess, listTranscriptLanguages);
+router.post(
+  '/transcripts/:videoId/translate',
+  requireAuth,
+  limiters.llm,
+  requireQuota('llm'),
+  validate({ params: videoParams, body: translateBody }),
+  requireMediaAccess,
+  translateTranscript
+);
+
+module.exports = router;
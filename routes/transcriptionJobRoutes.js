@@ -0,0 +1,34 @@
+const express = require('express');
+const {
+  createTranscriptionJob,
+  listTranscriptionJobs,
+  getTranscriptionJob,
+  cancelTranscriptionJob
+} = require('../controllers/transcriptionJobController');
+const { requireAuth } = require('../middleware/auth');
+const { limiters } = require('../middleware/rateLimit');
+const { requireQuota } = require('../middleware/quota');
+const { validate } = require('../middleware/validate');
+const { requireMediaAccess } = require('../middleware/mediaAccess');
+const { z, videoId, optionalLanguage, idParams } = require('../utils/validation');
+const router = express.Router();
+
+const createBody = z.object({ videoId, language: optionalLanguage });
+
+const listQuery = z.object({ videoId });
+
+router.post(
+  '/transcription_jobs',
+  requireAuth,
+  limiters.transcription,
+  requireQuota('transcription'),
+  validate({ body: createBody }),
+  requireMediaAccess,
+  createTranscriptionJob
+);
+// jobs are only visible to the user who queued them
+router.get('/transcription_jobs', requireAuth, validate({ query: listQuery }), listTranscriptionJobs);
+router.get('/transcription_jobs/:id', requireAuth, validate({ params: idParams }), getTranscriptionJob);
+router.delete('/transcription_jobs/:id', requireAuth, validate({ params: idParams }), cancelTranscriptionJob);
+
+module.exports = router;
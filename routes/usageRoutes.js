@@ -0,0 +1,8 @@
+const express = require('express');
+const { getUsage } = require('../controllers/usageController');
+const { requireAuth } = require('../middleware/auth');
+const router = express.Router();
+
+router.get('/usage', requireAuth, getUsage);
+
+module.exports = router;
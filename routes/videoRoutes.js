@@ -1,7 +1,11 @@
 const express = require('express');
 const { fetchVideo } = require('../controllers/videoController');
+const { optionalAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { requireMediaAccess } = require('../middleware/mediaAccess');
+const { z, videoId } = require('../utils/validation');
 const router = express.Router();
 
-router.post('/fetch_video', fetchVideo);
+router.post('/fetch_video', optionalAuth, validate({ body: z.object({ videoId }) }), requireMediaAccess, fetchVideo);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
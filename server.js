@@ -1,49 +1,65 @@
 const express = require('express');
 const app = express();
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
 const connectDB = require('./config/db');
-const { cleanEnv, str, port } = require('envalid');
 const { logger } = require('./config/logger');
 const PORT = process.env.PORT || 5000;
 require('dotenv').config();
+const { env } = require('./config/env');
 
 const videoRoutes = require('./routes/videoRoutes');
 const playlistRoutes = require('./routes/playlistRoutes');
 const queryRoutes = require('./routes/queryRoutes');
 const noteRoutes = require('./routes/noteRoutes');
+const authRoutes = require('./routes/authRoutes');
+const conversationRoutes = require('./routes/conversationRoutes');
+const transcriptionJobRoutes = require('./routes/transcriptionJobRoutes');
+const transcriptRoutes = require('./routes/transcriptRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const progressRoutes = require('./routes/progressRoutes');
+const quizRoutes = require('./routes/quizRoutes');
+const flashcardRoutes = require('./routes/flashcardRoutes');
+const mediaRoutes = require('./routes/mediaRoutes');
+const chapterRoutes = require('./routes/chapterRoutes');
+const summaryRoutes = require('./routes/summaryRoutes');
+const usageRoutes = require('./routes/usageRoutes');
+const { startTranscriptionWorker } = require('./services/transcriptionJobService');
+const { limiters } = require('./middleware/rateLimit');
+const { bindRequestContext } = require('./utils/requestContext');
+const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 
-const env = cleanEnv(process.env, {
-  PORT: port({ default: 5000 }),
-  MONGODB_URI: str(),
-  GROQ_API_KEY: str(),
-  YOUTUBE_API_KEY: str(),
-});
-
-
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, 
-  max: 50, 
-  message: 'Too many requests from this IP, please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-app.use(limiter);
+// every route shares the default limit, expensive routes add their own group in their router
+app.use(limiters.default);
 
 app.use(cors());
 app.use(express.json({ limit: '10mb' })); 
+// after body parsing, whose stream callbacks would otherwise drop the async context
+app.use(bindRequestContext);
 
-connectDB();
+connectDB().then(() => {
+  if (env.WHISPER_ENABLED) startTranscriptionWorker();
+});
 
 app.use('/', videoRoutes);
 app.use('/', playlistRoutes);
 app.use('/', queryRoutes);
 app.use('/', noteRoutes);
+app.use('/', authRoutes);
+app.use('/', conversationRoutes);
+app.use('/', transcriptionJobRoutes);
+app.use('/', transcriptRoutes);
+app.use('/', searchRoutes);
+app.use('/', progressRoutes);
+app.use('/', quizRoutes);
+app.use('/', flashcardRoutes);
+app.use('/', mediaRoutes);
+app.use('/', chapterRoutes);
+app.use('/', summaryRoutes);
+app.use('/', usageRoutes);
 
-app.use((err, req, res, next) => {
-  logger.error(`Global error: ${err.message}, Stack: ${err.stack}`);
-  res.status(500).json({ error: 'Internal server error', details: err.message });
-});
+// every error, thrown or passed to next, leaves as { error: { code, message, details? } }
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 const server = app.listen(env.PORT, () => {
   logger.info(`Server running in ${process.env.NODE_ENV || 'undefined'} mode on port ${PORT}`);
@@ -0,0 +1,135 @@
+const Transcript = require('../models/Transcript');
+const { getTranscriptRecord } = require('./transcriptService');
+const { fetchVideoDetails } = require('./videoService');
+const { generateSections, groupSections } = require('./groqService');
+const { formatTime } = require('../utils/formatters');
+const { NotFoundError } = require('../utils/errors');
+const { logger } = require('../config/logger');
+
+// characters of numbered transcript per section request, so every window fits the model comfortably
+const WINDOW_CHARS = 12000;
+// more sections than this are grouped into chapters, keeping the sections as the outline's second level
+const MAX_CHAPTERS = 12;
+
+// splits segment indexes into consecutive windows of roughly WINDOW_CHARS, never splitting a segment
+const buildWindows = (segments) => {
+  const windows = [];
+  let current = null;
+  segments.forEach((segment, index) => {
+    const line = `[${index}] (${formatTime(segment.offset / 1000)}) ${segment.text}`;
+    if (!current || (current.size + line.length > WINDOW_CHARS && current.lines.length)) {
+      current = { first: index, last: index, lines: [], size: 0 };
+      windows.push(current);
+    }
+    current.lines.push(line);
+    current.size += line.length + 1;
+    current.last = index;
+  });
+  return windows;
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// keeps boundaries inside [first, last] in order, one per start; the first always begins at first so
+// nothing before it goes uncovered
+const normalizeBoundaries = (raw, first, last, fallbackTitle) => {
+  const seen = new Set();
+  const boundaries = raw
+    .filter(item => item && Number.isInteger(item.start) && item.start >= first && item.start <= last && isNonEmptyString(item.title))
+    .sort((a, b) => a.start - b.start)
+    .filter(item => !seen.has(item.start) && seen.add(item.start))
+    .map(item => ({
+      start: item.start,
+      title: item.title.trim(),
+      summary: isNonEmptyString(item.summary) ? item.summary.trim() : ''
+    }));
+  if (!boundaries.length) return [{ start: first, title: fallbackTitle, summary: '' }];
+  boundaries[0].start = first;
+  return boundaries;
+};
+
+async function sectionWindow(window, title, number) {
+  try {
+    const raw = await generateSections({ title, passage: window.lines.join('\n') });
+    return normalizeBoundaries(raw, window.first, window.last, `Part ${number}`);
+  } catch (error) {
+    logger.warn(`Sectioning failed for segments ${window.first}-${window.last}: ${error.message}`);
+    return [{ start: window.first, title: `Part ${number}`, summary: '' }];
+  }
+}
+
+// sections carry segment indexes; offsets come from the segments, each part ending where the next begins
+const withOffsets = (items, startOf, segments, endOffset) =>
+  items.map((item, i) => ({
+    ...item,
+    start: segments[startOf(item)].offset,
+    end: i + 1 < items.length ? segments[startOf(items[i + 1])].offset : endOffset
+  }));
+
+async function buildChapters(segments, title) {
+  const windows = buildWindows(segments);
+  logger.info(`Sectioning ${segments.length} segments in ${windows.length} windows`);
+  const sections = [];
+  for (const [i, window] of windows.entries()) {
+    sections.push(...(await sectionWindow(window, title, i + 1)));
+  }
+
+  const last = segments[segments.length - 1];
+  const endOffset = last.offset + last.duration;
+  const timedSections = withOffsets(sections, section => section.start, segments, endOffset)
+    .map(({ title: sectionTitle, summary, start, end }) => ({ title: sectionTitle, summary, start, end }));
+
+  if (sections.length <= MAX_CHAPTERS) {
+    return timedSections.map(section => ({ ...section, sections: [] }));
+  }
+
+  const listing = timedSections
+    .map((section, i) => `[${i}] (${formatTime(section.start / 1000)}) ${section.title}: ${section.summary}`)
+    .join('\n');
+  let groups;
+  try {
+    const raw = await groupSections({ title, sections: listing, maxChapters: MAX_CHAPTERS });
+    groups = normalizeBoundaries(raw, 0, sections.length - 1, title);
+  } catch (error) {
+    logger.warn(`Grouping ${sections.length} sections failed, using them as chapters: ${error.message}`);
+    return timedSections.map(section => ({ ...section, sections: [] }));
+  }
+
+  return groups.map((group, i) => {
+    const until = i + 1 < groups.length ? groups[i + 1].start : timedSections.length;
+    const children = timedSections.slice(group.start, until);
+    return {
+      title: group.title,
+      summary: group.summary || children.map(child => child.summary).filter(Boolean).join(' '),
+      start: children[0].start,
+      end: children[children.length - 1].end,
+      sections: children
+    };
+  });
+}
+
+// chapters are generated from the original-language transcript and stored on it
+async function generateChapters(videoId, { force = false, transcription } = {}) {
+  const record = await getTranscriptRecord(videoId, null, transcription);
+  if (!record?.transcript.length) {
+    throw new NotFoundError('Transcript not available for this video');
+  }
+  if (record.chapters?.length && !force) return record.chapters;
+
+  const videoDetails = await fetchVideoDetails(videoId).catch(() => null);
+  const title = videoDetails?.title || `Video ID: ${videoId}`;
+  const chapters = await buildChapters(record.transcript, title);
+  await Transcript.updateOne({ _id: record._id }, { chapters, chaptersGeneratedAt: new Date() });
+  logger.info(`Generated ${chapters.length} chapters for ${videoId}`);
+  return chapters;
+}
+
+// stored chapters only, never triggers a transcript fetch or generation
+async function getStoredChapters(videoId) {
+  const record = await Transcript.findOne({ videoId, isOriginal: true, chapters: { $exists: true } })
+    .select('chapters')
+    .lean();
+  return record?.chapters || null;
+}
+
+module.exports = { generateChapters, getStoredChapters };
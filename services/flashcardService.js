@@ -0,0 +1,70 @@
+const Flashcard = require('../models/Flashcard');
+const Note = require('../models/Note');
+const { fetchTranscript } = require('./transcriptService');
+const { fetchVideoDetails } = require('./videoService');
+const { sampleTranscriptChunks } = require('./retrievalService');
+const { generateFlashcards } = require('./groqService');
+const { formatTime } = require('../utils/formatters');
+const { scheduleReview } = require('../utils/spacedRepetition');
+const { NotFoundError, UpstreamError } = require('../utils/errors');
+
+const EXCERPT_COUNT = 12;
+const MAX_NOTES = 50;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// sources[i] describes the material part referenced as [i + 1] in the prompt
+const toCards = (rawCards, sources, userId) =>
+  rawCards.flatMap(raw => {
+    const source = sources[Number(raw?.source) - 1];
+    if (!source || !isNonEmptyString(raw.front) || !isNonEmptyString(raw.back)) return [];
+    return [{ user: userId, front: raw.front.trim(), back: raw.back.trim(), source: 'ai', ...source }];
+  });
+
+async function generateFromVideo(userId, videoId, count, transcription) {
+  const transcript = await fetchTranscript(videoId, null, transcription);
+  if (!transcript?.length) throw new NotFoundError('Transcript not available for this video');
+
+  const videoDetails = await fetchVideoDetails(videoId).catch(() => null);
+  const chunks = await sampleTranscriptChunks(videoId, transcript, EXCERPT_COUNT);
+  const material = chunks
+    .map((chunk, i) => `[${i + 1}] (${formatTime(chunk.offset / 1000)}) ${chunk.text}`)
+    .join('\n---\n');
+
+  const rawCards = await generateFlashcards({ title: videoDetails?.title || videoId, material, count });
+  const sources = chunks.map(chunk => ({ videoId, offset: chunk.offset }));
+  return toCards(rawCards, sources, userId).slice(0, count);
+}
+
+async function generateFromNotes(userId, noteIds, count) {
+  const notes = await Note.find({ _id: { $in: noteIds.slice(0, MAX_NOTES) }, owner: userId }).lean();
+  if (!notes.length) throw new NotFoundError('No matching notes found');
+
+  const material = notes
+    .map((note, i) => `[${i + 1}] ${note.title ? `${note.title}: ` : ''}${note.content}`)
+    .join('\n---\n');
+
+  const rawCards = await generateFlashcards({ title: 'Study notes', material, count });
+  const sources = notes.map(note => ({ videoId: note.videoId, note: note._id }));
+  return toCards(rawCards, sources, userId).slice(0, count);
+}
+
+async function createGeneratedCards(userId, { videoId, noteIds, count, transcription }) {
+  const cards = noteIds?.length
+    ? await generateFromNotes(userId, noteIds, count)
+    : await generateFromVideo(userId, videoId, count, transcription);
+  if (!cards.length) {
+    throw new UpstreamError('The model did not return any usable flashcards, please try again');
+  }
+  return Flashcard.insertMany(cards);
+}
+
+async function reviewCard(card, quality) {
+  const now = new Date();
+  Object.assign(card, scheduleReview(card, quality, now), { lastReviewedAt: now });
+  card.reviewCount += 1;
+  await card.save();
+  return card;
+}
+
+module.exports = { createGeneratedCards, reviewCard };
@@ -1,89 +1,113 @@
-const Groq = require('groq-sdk');
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
-const { logger } = require('../config/logger');
+const { chat, chatJson } = require('./llmService');
 
-async function getGroqResponse({ videoId, query, transcript }) {
-  logger.info(`Processing query "${query}" for video ${videoId}`);
-  const maxRetries = 3;
-  let attempts = 0;
+async function generateQuizQuestions({ title, excerpts, count }) {
+  const system = 'You write study quizzes from lecture transcripts. Respond only with JSON.';
+  const prompt =
+    `Video title: ${title}\n` +
+    `Transcript excerpts, each starting with its reference number:\n${excerpts}\n\n` +
+    `Write ${count} questions that test understanding of the excerpts, mixing multiple choice and short answer. ` +
+    'Return {"questions": [...]} where each question is an object with: ' +
+    '"type" ("multiple_choice" or "short_answer"), "question", ' +
+    '"options" (4 distinct strings, multiple choice only), "answerIndex" (index of the correct option, multiple choice only), ' +
+    '"answer" (a short model answer, short answer only), "explanation" (one or two sentences), ' +
+    'and "source" (the reference number of the excerpt the question is based on).';
 
-  while (attempts < maxRetries) {
-    try {
-      let context = '';
-      if (transcript?.length) {
-        context = transcript.map(item => item.text).join(' ');
-        const maxTokenEstimate = 10000; 
-        const words = context.split(/\s+/);
-        if (words.length > maxTokenEstimate * 0.75) {
-          logger.info(`Transcript for ${videoId} too long (${words.length} words), preprocessing`);
-          if (query.toLowerCase().includes('summary') || query.toLowerCase().includes('key points')) {
-            const keySentencesPrompt = `Extract 10-15 key sentences from the transcript: "${context.slice(0, 30000)}". Return as a concise list.`;
-            const startTime = Date.now();
-            const keySentencesResponse = await Promise.race([
-              groq.chat.completions.create({
-                messages: [
-                  { role: 'system', content: 'You are a summarization expert.' },
-                  { role: 'user', content: keySentencesPrompt }
-                ],
-                model: 'llama-3.3-70b-versatile',
-                max_tokens: 500,
-                temperature: 0.3
-              }),
-              new Promise((_, reject) => setTimeout(() => reject(new Error('Key sentences timeout')), 60000))
-            ]);
-            logger.info(`Key sentences extracted in ${Date.now() - startTime}ms`);
-            context = keySentencesResponse.choices[0]?.message?.content || context.slice(0, maxTokenEstimate * 4);
-          } else {
-            context = context.slice(0, maxTokenEstimate * 4);
-          }
-          logger.info(`Truncated transcript to ${context.length} chars for ${videoId}`);
-        }
-      } else {
-        logger.info(`No transcript available for video ${videoId}, query will rely on video metadata`);
-      }
+  const { data } = await chatJson({
+    messages: [{ role: 'system', content: system }, { role: 'user', content: prompt }],
+    maxTokens: 3000
+  });
+  return Array.isArray(data.questions) ? data.questions : [];
+}
 
-      const prompt = query.toLowerCase().includes('key points')
-        ? `Based on the transcript: "${context}", provide a list of 5-10 key points from the video. Each point should be concise and capture a main idea.`
-        : query.toLowerCase().includes('summary')
-        ? `Based on the transcript: "${context}", provide a concise summary of the video in 3-5 sentences. Focus on the main points and avoid unnecessary details.`
-        : `Based on the transcript: "${context}", answer the query: "${query}". Provide a concise and accurate response.`;
+async function generateFlashcards({ title, material, count }) {
+  const system = 'You turn study material into concise flashcards. Respond only with JSON.';
+  const prompt =
+    `Topic: ${title}\n` +
+    `Material, each part starting with its reference number:\n${material}\n\n` +
+    `Write up to ${count} flashcards covering the most important facts and concepts. ` +
+    'Return {"cards": [...]} where each card is an object with "front" (a question or cue), ' +
+    '"back" (a short answer) and "source" (the reference number of the part it comes from).';
+
+  const { data } = await chatJson({
+    messages: [{ role: 'system', content: system }, { role: 'user', content: prompt }],
+    maxTokens: 3000
+  });
+  return Array.isArray(data.cards) ? data.cards : [];
+}
+
+// first pass of chapter generation: topic boundaries inside one window of numbered transcript segments
+async function generateSections({ title, passage }) {
+  const system = 'You split lecture transcripts into topical sections. Respond only with JSON.';
+  const prompt =
+    `Video title: ${title}\n` +
+    `Transcript passage, one segment per line starting with its segment number and time:\n${passage}\n\n` +
+    'Split the passage into 2 to 6 sections wherever the topic changes; a short passage with a single topic may be one section. ' +
+    'Return {"sections": [...]} where each section is an object with "start" (the number of the segment it begins at), ' +
+    '"title" (at most 8 words) and "summary" (one or two sentences).';
+
+  const { data } = await chatJson({
+    messages: [{ role: 'system', content: system }, { role: 'user', content: prompt }],
+    task: 'chapters',
+    maxTokens: 1500,
+    temperature: 0.3
+  });
+  return Array.isArray(data.sections) ? data.sections : [];
+}
+
+// second pass: merges consecutive sections into at most maxChapters chapters
+async function groupSections({ title, sections, maxChapters }) {
+  const system = 'You organise lecture outlines into chapters. Respond only with JSON.';
+  const prompt =
+    `Video title: ${title}\n` +
+    `Sections in order, each starting with its section number and time:\n${sections}\n\n` +
+    `Group consecutive sections into at most ${maxChapters} chapters covering every section. ` +
+    'Return {"chapters": [...]} where each chapter is an object with "start" (the number of its first section), ' +
+    '"title" (at most 8 words) and "summary" (two or three sentences).';
+
+  const { data } = await chatJson({
+    messages: [{ role: 'system', content: system }, { role: 'user', content: prompt }],
+    task: 'chapters',
+    maxTokens: 2000,
+    temperature: 0.3
+  });
+  return Array.isArray(data.chapters) ? data.chapters : [];
+}
+
+// map step of summarization: notes on one part of the transcript, kept factual so later merges lose little
+async function summarizePassage({ title, passage }) {
+  const { content, model } = await chat({
+    messages: [
+      { role: 'system', content: 'You summarise parts of lecture transcripts into dense, factual notes.' },
+      {
+        role: 'user',
+        content: `Video title: ${title}\nTranscript part:\n${passage}\n\n` +
+          'Summarise this part in a short paragraph or a few bullet points, keeping every main idea, definition and example. ' +
+          'Do not add an introduction or mention that this is a part of a transcript.'
+      }
+    ],
+    task: 'summary',
+    maxTokens: 600,
+    temperature: 0.3
+  });
+  return { content, model };
+}
 
-      logger.info(`Sending Groq request for ${videoId}, attempt ${attempts + 1}`);
-      const startTime = Date.now();
-      const response = await Promise.race([
-        groq.chat.completions.create({
-          messages: [
-            { role: 'system', content: 'You are a helpful assistant.' },
-            { role: 'user', content: prompt }
-          ],
-          model: 'llama-3.3-70b-versatile',
-          max_tokens: 1000,
-          temperature: 0.7
-        }),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Response timeout')), 120000))
-      ]);
-      logger.info(`Response received for ${videoId} in ${Date.now() - startTime}ms`);
-      return response.choices[0]?.message?.content || 'No response generated';
-    } catch (error) {
-      attempts++;
-      if (error.status === 429 || error.code === 'rate_limit_exceeded' || error.status === 503 || error.status === 500 || error.message.includes('timeout')) {
-        const retryAfter = parseInt(error.headers?.['retry-after']) * 1000 || Math.pow(2, attempts) * 1000;
-        logger.warn(`Retryable error for ${videoId}, retrying after ${retryAfter}ms (attempt ${attempts}): ${error.message}`);
-        if (attempts >= maxRetries) {
-          logger.error(`Max retries exceeded for ${videoId}: ${error.message}`);
-          throw new Error('Rate limit or server error after maximum retries', {
-            details: 'Please wait a few minutes and try again.'
-          });
-        }
-        await new Promise(resolve => setTimeout(resolve, retryAfter));
-      } else {
-        logger.error(`Groq API error for ${videoId}: ${error.message}`);
-        throw new Error(error.message || 'Failed to process query', {
-          details: 'An unexpected error occurred.'
-        });
+// reduce step: merges part summaries, given in video order with their time ranges, following instructions
+async function combineSummaries({ title, summaries, instructions, maxTokens }) {
+  const { content, model } = await chat({
+    messages: [
+      { role: 'system', content: 'You write accurate summaries of lecture videos from notes covering the whole video.' },
+      {
+        role: 'user',
+        content: `Video title: ${title}\nNotes on consecutive parts of the video, in order:\n${summaries}\n\n${instructions} ` +
+          'Cover the whole video, not only its beginning, and do not mention the notes themselves.'
       }
-    }
-  }
+    ],
+    task: 'summary',
+    maxTokens,
+    temperature: 0.3
+  });
+  return { content, model };
 }
 
-module.exports = { getGroqResponse };
+module.exports = { generateQuizQuestions, generateFlashcards, generateSections, groupSections, summarizePassage, combineSummaries };
@@ -0,0 +1,300 @@
+const fs = require('fs');
+const axios = require('axios');
+const Groq = require('groq-sdk');
+const { withRetry, isRateLimitError, isTransientError, getRetryAfterMs } = require('../utils/retry');
+const { recordLlmUsage } = require('./usageService');
+const { UpstreamRateLimitError, UpstreamError } = require('../utils/errors');
+const { logger } = require('../config/logger');
+
+const DEFAULT_MODELS = {
+  groq: 'llama-3.3-70b-versatile,mixtral-8x7b-32768',
+  openai: 'llama3.1',
+  mock: 'mock-model'
+};
+
+// read per call so tests and scripts can switch providers through the environment
+const getConfig = () => {
+  const provider = (process.env.LLM_PROVIDER || 'groq').toLowerCase();
+  return {
+    provider,
+    baseUrl: (process.env.LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, ''),
+    apiKey: process.env.LLM_API_KEY || (provider === 'groq' ? process.env.GROQ_API_KEY : ''),
+    models: (process.env.LLM_MODELS || DEFAULT_MODELS[provider] || '').split(',').map(m => m.trim()).filter(Boolean),
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 120000,
+    maxRetries: parseInt(process.env.LLM_MAX_RETRIES, 10) || 3
+  };
+};
+
+// a task can have its own chain, e.g. LLM_REFINE_MODELS for transcript refinement
+const getModelChain = (config, task) => {
+  const override = task && process.env[`LLM_${task.toUpperCase()}_MODELS`];
+  return override ? override.split(',').map(m => m.trim()).filter(Boolean) : config.models;
+};
+
+// identifies the provider and models a task would run on, e.g. for keying cached responses
+const getModelChainKey = (task) => {
+  const config = getConfig();
+  return `${config.provider}:${getModelChain(config, task).join(',')}`;
+};
+
+const normalizeUsage = (usage) => ({
+  promptTokens: usage?.prompt_tokens || 0,
+  completionTokens: usage?.completion_tokens || 0,
+  totalTokens: usage?.total_tokens || (usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0)
+});
+
+const requestBody = ({ model, messages, maxTokens, temperature, json }) => ({
+  model,
+  messages,
+  max_tokens: maxTokens,
+  temperature,
+  ...(json ? { response_format: { type: 'json_object' } } : {})
+});
+
+function createGroqProvider({ apiKey }) {
+  // retries are handled by chat() so every provider behaves the same
+  const client = new Groq({ apiKey, maxRetries: 0 });
+  return {
+    name: 'groq',
+    async complete(options) {
+      const response = await client.chat.completions.create(requestBody(options), { signal: options.signal });
+      return { content: response.choices[0]?.message?.content || '', usage: normalizeUsage(response.usage) };
+    },
+    async *stream(options) {
+      const stream = await client.chat.completions.create({ ...requestBody(options), stream: true }, { signal: options.signal });
+      for await (const chunk of stream) {
+        const token = chunk.choices[0]?.delta?.content;
+        if (token) yield { token };
+        const usage = chunk.x_groq?.usage || chunk.usage;
+        if (usage) yield { usage: normalizeUsage(usage) };
+      }
+    }
+  };
+}
+
+// any server speaking the OpenAI chat completions API: Ollama, llama.cpp, vLLM, OpenAI itself
+function createOpenAICompatibleProvider({ baseUrl, apiKey }) {
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  const toProviderError = (error) => {
+    if (!error.response) return error;
+    const wrapped = new Error(error.response.data?.error?.message || `LLM server responded with ${error.response.status}`);
+    wrapped.status = error.response.status;
+    wrapped.headers = error.response.headers;
+    return wrapped;
+  };
+
+  return {
+    name: 'openai',
+    async complete(options) {
+      try {
+        const response = await axios.post(`${baseUrl}/chat/completions`, requestBody(options), { headers, signal: options.signal });
+        return { content: response.data.choices?.[0]?.message?.content || '', usage: normalizeUsage(response.data.usage) };
+      } catch (error) {
+        throw toProviderError(error);
+      }
+    },
+    async *stream(options) {
+      let response;
+      try {
+        response = await axios.post(
+          `${baseUrl}/chat/completions`,
+          { ...requestBody(options), stream: true, stream_options: { include_usage: true } },
+          { headers, signal: options.signal, responseType: 'stream' }
+        );
+      } catch (error) {
+        throw toProviderError(error);
+      }
+
+      let buffer = '';
+      for await (const data of response.data) {
+        buffer += data.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const payload = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !payload) continue;
+          if (payload === '[DONE]') return;
+          const chunk = JSON.parse(payload);
+          const token = chunk.choices?.[0]?.delta?.content;
+          if (token) yield { token };
+          if (chunk.usage) yield { usage: normalizeUsage(chunk.usage) };
+        }
+      }
+    }
+  };
+}
+
+// deterministic offline provider; LLM_MOCK_FIXTURES points at a JSON list of { match, response }
+let mockResponder = null;
+
+const setMockResponder = (responder) => {
+  mockResponder = responder;
+};
+
+const loadMockFixtures = () => {
+  const file = process.env.LLM_MOCK_FIXTURES;
+  return file ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+};
+
+const defaultMockResponse = ({ model, messages, json }) => {
+  const prompt = messages.map(message => message.content).join('\n');
+  const fixture = loadMockFixtures().find(({ match }) => prompt.includes(match));
+  if (fixture) {
+    return typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+  }
+  if (json) return '{}';
+  const question = messages[messages.length - 1]?.content || '';
+  return `Mock response from ${model}: ${question.slice(0, 200)}`;
+};
+
+function createMockProvider() {
+  const respond = async (options) => {
+    const aborted = new Promise((_, reject) =>
+      options.signal?.addEventListener('abort', () => reject(options.signal.reason), { once: true })
+    );
+    const content = await Promise.race([(mockResponder || defaultMockResponse)(options), aborted]);
+    const promptLength = options.messages.reduce((sum, message) => sum + message.content.length, 0);
+    // roughly four characters per token
+    const usage = normalizeUsage({ prompt_tokens: Math.ceil(promptLength / 4), completion_tokens: Math.ceil(content.length / 4) });
+    return { content, usage };
+  };
+  return {
+    name: 'mock',
+    complete: respond,
+    async *stream(options) {
+      const { content, usage } = await respond(options);
+      for (const token of content.match(/\S+\s*/g) || []) yield { token };
+      yield { usage };
+    }
+  };
+}
+
+let cachedProvider = null;
+let cachedProviderKey = null;
+
+const getProvider = (config) => {
+  const key = `${config.provider}|${config.baseUrl}|${config.apiKey}`;
+  if (cachedProvider && cachedProviderKey === key) return cachedProvider;
+  if (config.provider === 'groq') cachedProvider = createGroqProvider(config);
+  else if (config.provider === 'openai') cachedProvider = createOpenAICompatibleProvider(config);
+  else if (config.provider === 'mock') cachedProvider = createMockProvider();
+  else throw new Error(`Unknown LLM_PROVIDER "${config.provider}"`);
+  cachedProviderKey = key;
+  return cachedProvider;
+};
+
+// the caller's signal plus the configured per-request timeout
+const withTimeout = (signal, timeoutMs) => {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  return signal ? AbortSignal.any([signal, timeout]) : timeout;
+};
+
+// provider errors reach clients as typed upstream errors; the provider's own message is only logged
+const toUpstreamError = (error) => {
+  if (isRateLimitError(error)) {
+    const retryAfterMs = getRetryAfterMs(error) ?? 3600 * 1000;
+    return new UpstreamRateLimitError(
+      `Rate limit reached for all models. Please try again in ${Math.ceil(retryAfterMs / 60000)} minutes.`,
+      Math.ceil(retryAfterMs / 1000)
+    );
+  }
+  if (!error.status && error.name !== 'TimeoutError') return error;
+  logger.error(`LLM request failed: ${error.message}`);
+  const wrapped = new UpstreamError(error.name === 'TimeoutError' ? 'The language model timed out, please try again' : 'The language model request failed', { cause: error });
+  wrapped.streamStarted = error.streamStarted;
+  return wrapped;
+};
+
+// walks the model chain: transient errors are retried with backoff, a rate-limited model hands over to the next one
+async function runWithModelChain({ task, signal, timeoutMs }, call) {
+  const config = getConfig();
+  const requestTimeoutMs = timeoutMs || config.timeoutMs;
+  const provider = getProvider(config);
+  const models = getModelChain(config, task);
+  if (!models.length) throw new Error('No LLM models configured');
+
+  for (let i = 0; i < models.length; i++) {
+    const model = models[i];
+    const hasFallback = i < models.length - 1;
+    try {
+      return await withRetry(
+        async () => {
+          const requestSignal = withTimeout(signal, requestTimeoutMs);
+          try {
+            return await call(provider, model, requestSignal);
+          } catch (error) {
+            // sdks report our own timeout as a plain abort
+            if (requestSignal.aborted && !signal?.aborted) {
+              const timeoutError = new Error(`LLM request timed out after ${requestTimeoutMs}ms`);
+              timeoutError.name = 'TimeoutError';
+              timeoutError.streamStarted = error.streamStarted;
+              throw timeoutError;
+            }
+            throw error;
+          }
+        },
+        {
+          retries: config.maxRetries,
+          signal,
+          label: `${provider.name}/${model}`,
+          isRetryable: error => !error.streamStarted && isTransientError(error) && !(hasFallback && isRateLimitError(error))
+        }
+      );
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      if (isRateLimitError(error) && hasFallback && !error.streamStarted) {
+        logger.warn(`Rate limit hit for ${model}, trying ${models[i + 1]}`);
+        continue;
+      }
+      throw toUpstreamError(error);
+    }
+  }
+}
+
+// messages are plain { role: 'system' | 'user' | 'assistant', content } objects;
+// timeoutMs overrides LLM_TIMEOUT_MS for a single call
+async function chat({ messages, maxTokens = 1000, temperature = 0.7, json = false, task, signal, timeoutMs } = {}) {
+  return runWithModelChain({ task, signal, timeoutMs }, async (provider, model, requestSignal) => {
+    const startTime = Date.now();
+    const { content, usage } = await provider.complete({ model, messages, maxTokens, temperature, json, signal: requestSignal });
+    logger.info(`${provider.name}/${model} responded in ${Date.now() - startTime}ms (${usage.totalTokens} tokens)`);
+    recordLlmUsage(usage);
+    return { content, usage, model };
+  });
+}
+
+// json-mode completion, parsed; malformed output is asked for again
+async function chatJson(options) {
+  try {
+    return await withRetry(async () => {
+      const result = await chat({ temperature: 0.4, ...options, json: true });
+      return { ...result, data: JSON.parse(result.content || '{}') };
+    }, { retries: 2, label: 'json completion', isRetryable: error => error instanceof SyntaxError });
+  } catch (error) {
+    if (error instanceof SyntaxError) throw new UpstreamError('The model returned malformed JSON, please try again', { cause: error });
+    throw error;
+  }
+}
+
+// streams tokens to onToken; fallback and retries only happen before the first token is sent
+async function chatStream({ messages, maxTokens = 1000, temperature = 0.7, task, signal, timeoutMs, onToken } = {}) {
+  return runWithModelChain({ task, signal, timeoutMs }, async (provider, model, requestSignal) => {
+    let content = '';
+    let usage = normalizeUsage();
+    try {
+      for await (const event of provider.stream({ model, messages, maxTokens, temperature, signal: requestSignal })) {
+        if (event.usage) usage = event.usage;
+        if (!event.token) continue;
+        content += event.token;
+        onToken?.(event.token);
+      }
+    } catch (error) {
+      error.streamStarted = content.length > 0;
+      throw error;
+    }
+    recordLlmUsage(usage);
+    return { content, usage, model };
+  });
+}
+
+module.exports = { chat, chatJson, chatStream, setMockResponder, getModelChainKey };
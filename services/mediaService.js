@@ -0,0 +1,100 @@
+const fs = require('fs').promises;
+const MediaItem = require('../models/MediaItem');
+const Transcript = require('../models/Transcript');
+const TranscriptIndex = require('../models/TranscriptIndex');
+const Summary = require('../models/Summary');
+const ResponseCache = require('../models/ResponseCache');
+const TranscriptionJob = require('../models/TranscriptionJob');
+const { enqueueTranscriptionJob } = require('./transcriptionJobService');
+const { createMediaId, isMediaId } = require('../utils/mediaIds');
+const { NotFoundError } = require('../utils/errors');
+const { assertPublicUrl } = require('../utils/publicUrl');
+const { logger } = require('../config/logger');
+
+// yt-dlp fetches whatever it is given, so only urls on public hosts get that far
+const validateMediaUrl = (value) => assertPublicUrl(value);
+
+async function createUploadedMedia({ owner, file, title, language }) {
+  const item = await MediaItem.create({
+    mediaId: createMediaId(),
+    owner,
+    kind: 'upload',
+    title: title || file.originalname,
+    filePath: file.path,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    language
+  });
+  const job = await enqueueTranscriptionJob({ videoId: item.mediaId, language, userId: owner, source: 'upload' });
+  logger.info(`Stored upload ${item.mediaId} (${file.size} bytes) for user ${owner}`);
+  return { item, job };
+}
+
+async function createLinkedMedia({ owner, url, title, language }) {
+  const sourceUrl = await validateMediaUrl(url);
+  const item = await MediaItem.create({
+    mediaId: createMediaId(),
+    owner,
+    kind: 'url',
+    title: title || sourceUrl,
+    sourceUrl,
+    language
+  });
+  const job = await enqueueTranscriptionJob({ videoId: item.mediaId, language, userId: owner, source: 'url' });
+  logger.info(`Linked media ${item.mediaId} to ${sourceUrl} for user ${owner}`);
+  return { item, job };
+}
+
+// where the transcription pipeline reads audio from; linked media is external, the extractor only downloads it
+// from public hosts
+async function resolveAudioSource(videoId) {
+  if (!isMediaId(videoId)) {
+    return { key: videoId, url: `https://www.youtube.com/watch?v=${videoId}` };
+  }
+  const item = await MediaItem.findOne({ mediaId: videoId }).lean();
+  if (!item) throw new NotFoundError(`Media item ${videoId} not found`);
+  return item.kind === 'upload'
+    ? { key: videoId, file: item.filePath }
+    : { key: videoId, url: item.sourceUrl, external: true };
+}
+
+// media items are private to their owner, YouTube ids are public
+async function canAccessMedia(videoId, userId) {
+  if (!isMediaId(videoId)) return true;
+  if (!userId) return false;
+  return !!(await MediaItem.exists({ mediaId: videoId, owner: userId }));
+}
+
+const listOwnedMediaIds = async (userId) => (userId ? MediaItem.distinct('mediaId', { owner: userId }) : []);
+
+// removes the item with its stored file and everything derived from its audio; notes stay with their owners
+async function deleteMediaItem(item) {
+  await TranscriptionJob.updateMany(
+    { videoId: item.mediaId, status: { $in: ['queued', 'running'] } },
+    { status: 'cancelled', stage: 'cancelled', finishedAt: new Date() }
+  );
+  await Promise.all([
+    Transcript.deleteMany({ videoId: item.mediaId }),
+    TranscriptIndex.deleteMany({ videoId: item.mediaId }),
+    Summary.deleteMany({ videoId: item.mediaId }),
+    ResponseCache.deleteMany({ videoId: item.mediaId }),
+    MediaItem.deleteOne({ _id: item._id })
+  ]);
+  if (item.filePath) {
+    await fs.unlink(item.filePath).catch(error => {
+      if (error.code !== 'ENOENT') logger.warn(`Failed to delete upload ${item.filePath}: ${error.message}`);
+    });
+  }
+  logger.info(`Deleted media item ${item.mediaId}`);
+}
+
+module.exports = {
+  createUploadedMedia,
+  createLinkedMedia,
+  resolveAudioSource,
+  deleteMediaItem,
+  validateMediaUrl,
+  canAccessMedia,
+  listOwnedMediaIds
+};
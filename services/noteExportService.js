@@ -0,0 +1,127 @@
+const PDFDocument = require('pdfkit');
+const Note = require('../models/Note');
+const { getPlaylistDetails } = require('./playlistService');
+const { fetchVideoDetails } = require('./videoService');
+const { formatTime, youtubeLink } = require('../utils/formatters');
+const { withContentHtml } = require('../utils/markdown');
+
+// notes with a timestamp come first in video order, the rest by creation date
+const compareNotes = (a, b) => {
+  if (a.timestamp != null && b.timestamp != null) return a.timestamp - b.timestamp;
+  if (a.timestamp != null) return -1;
+  if (b.timestamp != null) return 1;
+  return new Date(a.createdAt) - new Date(b.createdAt);
+};
+
+// returns { heading, groups: [{ videoId, title, url, notes }] } in playlist order, or null if nothing matched
+async function collectNotes(userId, { videoId, playlistId }) {
+  let heading;
+  let videos;
+
+  if (playlistId) {
+    const playlist = await getPlaylistDetails(playlistId);
+    heading = playlist.title;
+    videos = [...playlist.videos].sort((a, b) => a.position - b.position);
+  } else {
+    const details = await fetchVideoDetails(videoId).catch(() => null);
+    heading = details?.title || videoId;
+    videos = [{ id: videoId, title: heading }];
+  }
+
+  const notes = (await Note.find({ owner: userId, videoId: { $in: videos.map(video => video.id) } }).lean()).map(withContentHtml);
+  const groups = videos
+    .map(video => ({
+      videoId: video.id,
+      title: video.title,
+      url: youtubeLink(video.id, 0),
+      notes: notes.filter(note => note.videoId === video.id).sort(compareNotes)
+    }))
+    .filter(group => group.notes.length);
+
+  return groups.length ? { heading, groups } : null;
+}
+
+const noteLink = (note) =>
+  note.timestamp != null
+    ? { label: formatTime(note.timestamp), url: youtubeLink(note.videoId, note.timestamp) }
+    : null;
+
+const toMarkdown = ({ heading, groups }) => {
+  const lines = [`# ${heading}`, ''];
+  for (const group of groups) {
+    lines.push(group.url ? `## [${group.title}](${group.url})` : `## ${group.title}`, '');
+    for (const note of group.notes) {
+      const link = noteLink(note);
+      const title = note.title || 'Note';
+      const label = link?.url ? `[${link.label}](${link.url})` : link?.label;
+      lines.push(`### ${title}${link ? ` (${label})` : ''}`, '');
+      if (note.tags?.length) lines.push(`Tags: ${note.tags.map(tag => `#${tag}`).join(' ')}`, '');
+      lines.push(note.content, '');
+    }
+  }
+  return lines.join('\n');
+};
+
+const toPdf = ({ heading, groups }) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50, info: { Title: heading } });
+    const buffers = [];
+    doc.on('data', buffer => buffers.push(buffer));
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(20).text(heading);
+    for (const group of groups) {
+      doc.moveDown().font('Helvetica-Bold').fontSize(15).fillColor('#1a0dab')
+        .text(group.title, { link: group.url, underline: !!group.url });
+      doc.fillColor('black');
+      for (const note of group.notes) {
+        const link = noteLink(note);
+        doc.moveDown(0.5).font('Helvetica-Bold').fontSize(12).text(note.title || 'Note', { continued: !!link });
+        if (link) {
+          doc.font('Helvetica').fillColor('#1a0dab').text(`  ${link.label}`, { link: link.url, underline: !!link.url });
+          doc.fillColor('black');
+        }
+        if (note.tags?.length) {
+          doc.font('Helvetica-Oblique').fontSize(9).text(note.tags.map(tag => `#${tag}`).join(' '));
+        }
+        doc.font('Helvetica').fontSize(11).text(note.content);
+      }
+    }
+    doc.end();
+  });
+
+// anki's text importer, with file headers so the deck imports without manual column mapping
+const escapeField = (value) => {
+  const text = String(value).replace(/\r?\n/g, '<br>');
+  return /[\t"]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// the file is imported as html, so text that is not the sanitized note body is escaped
+const escapeHtml = (text) =>
+  String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const toAnkiCsv = ({ groups }) => {
+  const rows = ['#separator:tab', '#html:true', '#tags column:3'];
+  for (const group of groups) {
+    for (const note of group.notes) {
+      const link = noteLink(note);
+      const front = escapeHtml(`${note.title || group.title}${link ? ` (${link.label})` : ''}`);
+      const body = note.contentHtml.replace(/\n/g, '');
+      const url = link?.url || group.url;
+      const groupTitle = escapeHtml(group.title);
+      const back = `${body}<br>${url ? `<a href="${escapeHtml(url)}">${groupTitle}</a>` : groupTitle}`;
+      const tags = [`video_${note.videoId}`, ...(note.tags || []).map(tag => tag.replace(/\s+/g, '_'))].join(' ');
+      rows.push([front, back, tags].map(escapeField).join('\t'));
+    }
+  }
+  return rows.join('\n') + '\n';
+};
+
+const NOTE_EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown', extension: 'md', render: toMarkdown },
+  pdf: { contentType: 'application/pdf', extension: 'pdf', render: toPdf },
+  csv: { contentType: 'text/csv', extension: 'csv', render: toAnkiCsv }
+};
+
+module.exports = { collectNotes, NOTE_EXPORT_FORMATS };
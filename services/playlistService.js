@@ -1,43 +1,98 @@
-const axios = require('axios');
+const Playlist = require('../models/Playlist');
+const { youtubeGet } = require('./youtubeApi');
+const { parseIsoDuration } = require('../utils/formatters');
+const { NotFoundError } = require('../utils/errors');
+const { logger } = require('../config/logger');
 
-async function getPlaylistDetails(playlistId) {
-  const maxRetries = 3;
-  let attempts = 0;
-
-  while (attempts < maxRetries) {
-    try {
-      const url = `https://www.googleapis.com/youtube/v3/playlistItems?part=snippet&playlistId=${playlistId}&maxResults=50&key=${process.env.YOUTUBE_API_KEY}`;
-      const response = await axios.get(url);
-      const playlistData = response.data;
-
-      if (!playlistData.items || playlistData.items.length === 0) {
-        return null;
-      }
-
-      return playlistData.items.map(item => ({
-        id: item.snippet.resourceId.videoId,
-        title: item.snippet.title,
-        thumbnail: item.snippet.thumbnails.default.url
-      }));
-    } catch (error) {
-      attempts++;
-      if (error.response?.status === 429) {
-        const retryAfter = error.response.headers?.['retry-after'] || 5;
-        console.warn(`YouTube API rate limit, retrying after ${retryAfter}s (attempt ${attempts})`);
-        if (attempts >= maxRetries) {
-          console.error('YouTube API rate limit exceeded after maximum retries');
-          return null;
-        }
-        await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-      } else if (error.response?.status === 403 && error.response.data.error.code === 403) {
-        console.error('YouTube API quota exceeded');
-        return null;
-      } else {
-        console.error('Error fetching playlist details:', error);
-        return null;
-      }
+const PAGE_SIZE = 50;
+const UNAVAILABLE_TITLES = ['Private video', 'Deleted video'];
+
+const isAvailable = (item) =>
+  !UNAVAILABLE_TITLES.includes(item.snippet?.title) &&
+  item.status?.privacyStatus !== 'private' &&
+  !!item.snippet?.resourceId?.videoId;
+
+// follows nextPageToken until the whole playlist is read
+async function fetchAllItems(playlistId) {
+  const items = [];
+  let pageToken;
+  do {
+    const page = await youtubeGet('playlistItems', {
+      part: 'snippet,status',
+      playlistId,
+      maxResults: PAGE_SIZE,
+      pageToken
+    });
+    items.push(...(page.items || []));
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+  return items;
+}
+
+// videos?part=contentDetails accepts at most 50 ids per call
+async function fetchDurations(videoIds) {
+  const durations = {};
+  for (let i = 0; i < videoIds.length; i += PAGE_SIZE) {
+    const batch = videoIds.slice(i, i + PAGE_SIZE);
+    const data = await youtubeGet('videos', { part: 'contentDetails', id: batch.join(','), maxResults: PAGE_SIZE });
+    for (const video of data.items || []) {
+      durations[video.id] = parseIsoDuration(video.contentDetails?.duration);
     }
   }
+  return durations;
+}
+
+// YouTube errors propagate as typed errors instead of being reported as a missing playlist
+async function getPlaylistDetails(playlistId) {
+  const cached = await Playlist.findOne({ playlistId }).select('-_id -__v').lean();
+  if (cached) {
+    logger.info(`Using cached playlist ${playlistId}`);
+    return cached;
+  }
+
+  const playlistData = await youtubeGet('playlists', { part: 'snippet,contentDetails', id: playlistId });
+  const info = playlistData.items?.[0];
+  if (!info) {
+    throw new NotFoundError('Playlist not found');
+  }
+
+  const items = await fetchAllItems(playlistId);
+  const availableItems = items.filter(isAvailable);
+  if (availableItems.length < items.length) {
+    logger.info(`Skipping ${items.length - availableItems.length} private or deleted videos in ${playlistId}`);
+  }
+  const durations = await fetchDurations(availableItems.map(item => item.snippet.resourceId.videoId));
+
+  const videos = availableItems.map(item => {
+    const id = item.snippet.resourceId.videoId;
+    return {
+      id,
+      title: item.snippet.title,
+      thumbnail: item.snippet.thumbnails?.default?.url,
+      position: item.snippet.position,
+      duration: durations[id] ?? null
+    };
+  });
+
+  const playlist = {
+    playlistId,
+    title: info.snippet.title,
+    description: info.snippet.description,
+    channelId: info.snippet.channelId,
+    channelTitle: info.snippet.channelTitle,
+    thumbnail: info.snippet.thumbnails?.medium?.url || info.snippet.thumbnails?.default?.url,
+    videoCount: videos.length,
+    unavailableCount: items.length - videos.length,
+    totalDuration: videos.reduce((sum, video) => sum + (video.duration || 0), 0),
+    videos
+  };
+
+  try {
+    await Playlist.findOneAndUpdate({ playlistId }, { ...playlist, createdAt: Date.now() }, { upsert: true });
+  } catch (error) {
+    logger.warn(`Failed to cache playlist ${playlistId}: ${error.message}`);
+  }
+  return playlist;
 }
 
 module.exports = { getPlaylistDetails };
@@ -0,0 +1,79 @@
+const Progress = require('../models/Progress');
+const { getPlaylistDetails } = require('./playlistService');
+
+// share of a video that counts as finished when the player never reports the very end
+const COMPLETION_THRESHOLD = 90;
+
+async function recordProgress(userId, videoId, update) {
+  const { position, duration, completed } = update;
+  const existing = await Progress.findOne({ user: userId, videoId });
+  const progress = existing || new Progress({ user: userId, videoId });
+
+  if (duration > 0) progress.duration = duration;
+  if (position !== undefined) progress.position = Math.min(position, progress.duration || position);
+
+  // seeking backwards to rewatch a section should not undo progress
+  if (progress.duration > 0) {
+    const percent = Math.min(100, Math.round((progress.position / progress.duration) * 100));
+    progress.watchedPercent = Math.max(progress.watchedPercent, percent);
+  }
+
+  if (completed !== undefined) {
+    progress.completed = completed;
+  } else if (progress.watchedPercent >= COMPLETION_THRESHOLD) {
+    progress.completed = true;
+  }
+
+  try {
+    await progress.save();
+  } catch (error) {
+    // two first reports for a video race to insert; the loser applies its update to the winner's record
+    if (error.code === 11000 && !existing) return recordProgress(userId, videoId, update);
+    throw error;
+  }
+  return progress;
+}
+
+async function getPlaylistProgress(userId, playlistId) {
+  const playlist = await getPlaylistDetails(playlistId);
+
+  const records = await Progress.find({
+    user: userId,
+    videoId: { $in: playlist.videos.map(video => video.id) }
+  }).lean();
+  const byVideo = new Map(records.map(record => [record.videoId, record]));
+
+  const videos = [...playlist.videos]
+    .sort((a, b) => a.position - b.position)
+    .map(video => {
+      const record = byVideo.get(video.id);
+      return {
+        id: video.id,
+        title: video.title,
+        position: video.position,
+        duration: video.duration,
+        lastPosition: record?.position || 0,
+        watchedPercent: record?.watchedPercent || 0,
+        completed: !!record?.completed
+      };
+    });
+
+  const completedCount = videos.filter(video => video.completed).length;
+  const nextVideo = videos.find(video => !video.completed) || null;
+  const timeRemaining = videos
+    .filter(video => !video.completed)
+    .reduce((sum, video) => sum + (video.duration || 0) * (1 - video.watchedPercent / 100), 0);
+
+  return {
+    playlistId,
+    title: playlist.title,
+    videoCount: videos.length,
+    completedCount,
+    completionPercent: videos.length ? Math.round((completedCount / videos.length) * 100) : 0,
+    nextVideo,
+    timeRemaining: Math.round(timeRemaining),
+    videos
+  };
+}
+
+module.exports = { recordProgress, getPlaylistProgress };
@@ -0,0 +1,124 @@
+const Quiz = require('../models/Quiz');
+const { fetchTranscript } = require('./transcriptService');
+const { fetchVideoDetails } = require('./videoService');
+const { sampleTranscriptChunks } = require('./retrievalService');
+const { generateQuizQuestions } = require('./groqService');
+const { formatTime, buildCitation } = require('../utils/formatters');
+const { tokenize } = require('../utils/textIndex');
+const { NotFoundError, UpstreamError } = require('../utils/errors');
+
+const MAX_QUESTIONS = 20;
+const EXCERPT_COUNT = 12;
+// share of the model answer's key words a short answer must contain
+const SHORT_ANSWER_OVERLAP = 0.6;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// keeps only well-formed questions and resolves each source reference to a transcript timestamp
+const validateQuestions = (rawQuestions, chunks, videoId) =>
+  rawQuestions.flatMap(raw => {
+    if (!raw || !isNonEmptyString(raw.question) || !isNonEmptyString(raw.explanation)) return [];
+    const chunk = chunks[Number(raw.source) - 1];
+    if (!chunk) return [];
+    const { offset, timestamp, url } = buildCitation(videoId, chunk);
+    const base = { question: raw.question.trim(), explanation: raw.explanation.trim(), offset, timestamp, url };
+
+    if (raw.type === 'multiple_choice') {
+      const options = Array.isArray(raw.options) ? raw.options.filter(isNonEmptyString).map(o => o.trim()) : [];
+      const answerIndex = Number(raw.answerIndex);
+      if (options.length < 2 || new Set(options).size !== options.length) return [];
+      if (!Number.isInteger(answerIndex) || !options[answerIndex]) return [];
+      return [{ ...base, type: 'multiple_choice', options, answerIndex, answer: options[answerIndex] }];
+    }
+    if (raw.type === 'short_answer' && isNonEmptyString(raw.answer)) {
+      return [{ ...base, type: 'short_answer', answer: raw.answer.trim() }];
+    }
+    return [];
+  });
+
+async function createQuiz(userId, videoId, count = 5, transcription) {
+  const transcript = await fetchTranscript(videoId, null, transcription);
+  if (!transcript?.length) {
+    throw new NotFoundError('Transcript not available for this video');
+  }
+
+  const videoDetails = await fetchVideoDetails(videoId).catch(() => null);
+  const title = videoDetails?.title || `Video ID: ${videoId}`;
+  const chunks = await sampleTranscriptChunks(videoId, transcript, EXCERPT_COUNT);
+  const excerpts = chunks
+    .map((chunk, i) => `[${i + 1}] (${formatTime(chunk.offset / 1000)}) ${chunk.text}`)
+    .join('\n---\n');
+
+  const rawQuestions = await generateQuizQuestions({ title, excerpts, count: Math.min(count, MAX_QUESTIONS) });
+  const questions = validateQuestions(rawQuestions, chunks, videoId).slice(0, count);
+  if (!questions.length) {
+    throw new UpstreamError('The model did not return any usable questions, please try again');
+  }
+
+  return Quiz.create({ user: userId, videoId, title, questions });
+}
+
+// quiz as shown before grading, without answers or explanations
+const toPublicQuiz = (quiz) => ({
+  _id: quiz._id,
+  videoId: quiz.videoId,
+  title: quiz.title,
+  createdAt: quiz.createdAt,
+  attemptCount: quiz.attempts.length,
+  questions: quiz.questions.map(({ _id, type, question, options }) => ({
+    _id,
+    type,
+    question,
+    ...(type === 'multiple_choice' ? { options } : {})
+  }))
+});
+
+const isShortAnswerCorrect = (given, expected) => {
+  const expectedTerms = new Set(tokenize(expected));
+  if (!expectedTerms.size) {
+    const normalize = (text) => String(text || '').trim().toLowerCase();
+    return normalize(given) === normalize(expected);
+  }
+  const givenTerms = new Set(tokenize(String(given || '')));
+  const overlap = [...expectedTerms].filter(term => givenTerms.has(term)).length;
+  return overlap / expectedTerms.size >= SHORT_ANSWER_OVERLAP;
+};
+
+// an option index given as a number or numeric string; null, '' and anything else count as unanswered
+const toOptionIndex = (given) => {
+  if (Number.isInteger(given)) return given;
+  if (typeof given === 'string' && /^\d+$/.test(given.trim())) return Number(given);
+  return null;
+};
+
+// answers[i] is an option index for multiple choice questions and free text for short answers
+async function gradeQuiz(quiz, answers) {
+  const results = quiz.questions.map((question, i) => {
+    const given = answers[i];
+    const correct = question.type === 'multiple_choice'
+      ? toOptionIndex(given) === question.answerIndex
+      : isShortAnswerCorrect(given, question.answer);
+    return {
+      questionId: question._id,
+      given: given ?? null,
+      correct,
+      answer: question.answer,
+      explanation: question.explanation,
+      timestamp: question.timestamp,
+      url: question.url
+    };
+  });
+
+  const score = results.filter(result => result.correct).length;
+  quiz.attempts.push({
+    answers,
+    results: results.map(({ correct }) => ({ correct })),
+    score,
+    total: results.length
+  });
+  await quiz.save();
+
+  return { score, total: results.length, results };
+}
+
+module.exports = { createQuiz, gradeQuiz, toPublicQuiz, validateQuestions };
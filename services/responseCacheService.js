@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const ResponseCache = require('../models/ResponseCache');
+const { logger } = require('../config/logger');
+
+// identical requests currently being answered, keyed like the stored cache
+const inFlight = new Map();
+
+const getTtlMs = () => (parseFloat(process.env.LLM_CACHE_TTL_HOURS) || 24) * 3600 * 1000;
+
+// "What are the KEY points?" and "what are the key points" share an entry
+const normalizeQuery = (query) => query
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .replace(/[\s?!.]+$/, '')
+  .trim();
+
+const buildCacheKey = ({ query, videoId, transcriptVersion, language, models }) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([normalizeQuery(query), videoId, transcriptVersion || 'none', language || '', models]))
+  .digest('hex');
+
+async function readCache(key) {
+  try {
+    const entry = await ResponseCache.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 } },
+      { new: true }
+    ).lean();
+    return entry?.response || null;
+  } catch (error) {
+    logger.warn(`Response cache read failed: ${error.message}`);
+    return null;
+  }
+}
+
+async function writeCache(key, entry, response) {
+  try {
+    await ResponseCache.findOneAndUpdate(
+      { key },
+      { ...entry, key, response, hits: 0, expiresAt: new Date(Date.now() + getTtlMs()) },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.warn(`Response cache write failed: ${error.message}`);
+  }
+}
+
+// resolves to { response, source } where source is 'cache', 'shared' (joined an identical in-flight request)
+// or 'computed'. bypass skips the stored entry but still refreshes it; signal is the caller's abort signal,
+// requests that joined an aborted leader compute the answer themselves
+async function withResponseCache(entry, compute, { bypass = false, signal } = {}) {
+  const key = buildCacheKey(entry);
+
+  if (!bypass) {
+    const cached = await readCache(key);
+    if (cached) {
+      logger.info(`Response cache hit for "${entry.query}" on ${entry.videoId}`);
+      return { response: cached, source: 'cache' };
+    }
+  }
+
+  const leader = inFlight.get(key);
+  if (leader) {
+    logger.info(`Joining in-flight request for "${entry.query}" on ${entry.videoId}`);
+    try {
+      return { response: await leader.promise, source: 'shared' };
+    } catch (error) {
+      if (!leader.signal?.aborted) throw error;
+    }
+  }
+
+  const promise = compute();
+  inFlight.set(key, { promise, signal });
+  try {
+    const response = await promise;
+    if (response?.content) {
+      await writeCache(key, { videoId: entry.videoId, query: normalizeQuery(entry.query), transcriptVersion: entry.transcriptVersion, models: entry.models }, response);
+    }
+    return { response, source: 'computed' };
+  } finally {
+    if (inFlight.get(key)?.promise === promise) inFlight.delete(key);
+  }
+}
+
+module.exports = { withResponseCache, normalizeQuery, buildCacheKey };
@@ -0,0 +1,70 @@
+const Transcript = require('../models/Transcript');
+const TranscriptIndex = require('../models/TranscriptIndex');
+const { chunkTranscript, buildIndex, scoreChunks } = require('../utils/textIndex');
+const { logger } = require('../config/logger');
+
+const BROAD_QUERY_PATTERN = /\b(summary|summari[sz]e|key points|important points|overview|main topics)\b/i;
+
+const isBroadQuery = (query) => BROAD_QUERY_PATTERN.test(query);
+
+async function getTranscriptIndex(videoId, transcript) {
+  // a regenerated transcript can keep its segment count while its text and timings change
+  const transcriptVersion = Transcript.computeVersion(transcript);
+  const cached = await TranscriptIndex.findOne({ videoId }).lean();
+  if (cached && cached.transcriptVersion === transcriptVersion) {
+    return cached;
+  }
+
+  const startTime = Date.now();
+  const index = buildIndex(chunkTranscript(transcript));
+  const doc = { videoId, transcriptVersion, ...index, createdAt: Date.now() };
+  try {
+    await TranscriptIndex.findOneAndUpdate({ videoId }, doc, { upsert: true });
+    logger.info(`Indexed ${index.chunks.length} transcript chunks for ${videoId} in ${Date.now() - startTime}ms`);
+  } catch (error) {
+    // the in-memory index is still usable for this request
+    logger.warn(`Failed to persist transcript index for ${videoId}: ${error.message}`);
+  }
+  return doc;
+}
+
+// picks chunks spread evenly over the whole transcript
+const sampleEvenly = (chunks, limit) => {
+  if (chunks.length <= limit) return chunks.map((_, i) => i);
+  const step = chunks.length / limit;
+  return Array.from({ length: limit }, (_, i) => Math.floor(i * step + step / 2));
+};
+
+async function retrieveRelevantChunks(videoId, transcript, query, { limit = 5 } = {}) {
+  const index = await getTranscriptIndex(videoId, transcript);
+  if (!index.chunks.length) return [];
+
+  let selected;
+  if (isBroadQuery(query)) {
+    selected = sampleEvenly(index.chunks, limit * 2);
+  } else {
+    selected = scoreChunks(index, query).slice(0, limit).map(result => result.index);
+    if (!selected.length) {
+      logger.info(`No lexical matches for "${query}" in ${videoId}, sampling chunks across the transcript`);
+      selected = sampleEvenly(index.chunks, limit);
+    }
+  }
+
+  return selected
+    .sort((a, b) => a - b)
+    .map(i => {
+      const { text, offset, duration, segmentStart, segmentEnd } = index.chunks[i];
+      return { text, offset, duration, segmentStart, segmentEnd };
+    });
+}
+
+// chunks spread over the whole video, for tasks that are not driven by a query
+async function sampleTranscriptChunks(videoId, transcript, limit) {
+  const index = await getTranscriptIndex(videoId, transcript);
+  return sampleEvenly(index.chunks, limit).map(i => {
+    const { text, offset, duration, segmentStart, segmentEnd } = index.chunks[i];
+    return { text, offset, duration, segmentStart, segmentEnd };
+  });
+}
+
+module.exports = { getTranscriptIndex, retrieveRelevantChunks, sampleTranscriptChunks, isBroadQuery };
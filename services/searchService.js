@@ -0,0 +1,134 @@
+const Transcript = require('../models/Transcript');
+const Note = require('../models/Note');
+const { listOwnedMediaIds } = require('./mediaService');
+const { tokenize, stem } = require('../utils/textIndex');
+const { MEDIA_ID_PREFIX } = require('../utils/mediaIds');
+const { ValidationError } = require('../utils/errors');
+
+const SNIPPET_RADIUS = 80;
+const MAX_SEGMENT_MATCHES = 3;
+// deepest result reachable by paging; each collection is read up to the end of the requested page
+const MAX_RESULT_WINDOW = 1000;
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const queryStems = (query) => [...new Set(tokenize(query).map(stem))];
+
+const isMatch = (word, stems) => stems.includes(stem(word.toLowerCase()));
+
+const countMatches = (text, stems) =>
+  (text.match(/[\p{L}\p{N}]+/gu) || []).filter(word => isMatch(word, stems)).length;
+
+// cuts a window around the first matching word and wraps every match in <mark>, the rest is html-escaped
+const buildSnippet = (text, stems) => {
+  const words = [...text.matchAll(/[\p{L}\p{N}]+/gu)];
+  const first = words.find(match => isMatch(match[0], stems));
+  const center = first ? first.index : 0;
+  // widen the window to whole words
+  let start = Math.max(0, center - SNIPPET_RADIUS);
+  let end = Math.min(text.length, center + SNIPPET_RADIUS);
+  if (start > 0) start = text.lastIndexOf(' ', start) + 1;
+  if (end < text.length) {
+    const nextSpace = text.indexOf(' ', end);
+    end = nextSpace === -1 ? text.length : nextSpace;
+  }
+  const window = text.slice(start, end);
+
+  const highlighted = escapeHtml(window).replace(/[\p{L}\p{N}]+/gu, word =>
+    isMatch(word, stems) ? `<mark>${word}</mark>` : word
+  );
+  return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+};
+
+const transcriptHit = (doc, stems) => {
+  const matches = doc.transcript
+    .map(segment => ({ segment, count: countMatches(segment.text || '', stems) }))
+    .filter(match => match.count > 0)
+    .sort((a, b) => b.count - a.count || a.segment.offset - b.segment.offset)
+    .slice(0, MAX_SEGMENT_MATCHES)
+    .map(({ segment }) => ({
+      offset: segment.offset,
+      duration: segment.duration,
+      snippet: buildSnippet(segment.text, stems)
+    }));
+  const best = matches[0] || { offset: 0, snippet: '' };
+  return {
+    type: 'transcript',
+    videoId: doc.videoId,
+    language: doc.language,
+    score: doc.score,
+    offset: best.offset,
+    snippet: best.snippet,
+    matches
+  };
+};
+
+const noteHit = (note, stems) => ({
+  type: 'note',
+  videoId: note.videoId,
+  noteId: note._id,
+  title: note.title,
+  score: note.score,
+  snippet: buildSnippet(note.content, stems)
+});
+
+// text-indexed lookup in one collection, best matches first. textScore depends on the collection's fields
+// and weights, so scores are divided by the collection's best score before the lists are merged
+const findScored = async (Model, filter, projection, size) => {
+  const docs = await Model.find(filter, { ...projection, score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(size)
+    .lean();
+  const best = docs[0]?.score || 1;
+  return docs.map(doc => ({ ...doc, score: doc.score / best }));
+};
+
+const SEARCH_TYPES = ['transcript', 'note'];
+
+// searches transcripts and, for a signed-in user, their own notes; videoIds narrows both.
+// hits are ordered by score relative to the best match of their own type
+async function search({ query, videoIds, userId, types = SEARCH_TYPES, page = 1, limit = 20 }) {
+  const stems = queryStems(query);
+  const videoFilter = videoIds ? { videoId: { $in: videoIds } } : {};
+  // merging two ranked lists needs everything up to the end of the requested page from each
+  const window = page * limit;
+  if (window > MAX_RESULT_WINDOW) {
+    throw new ValidationError(`Only the first ${MAX_RESULT_WINDOW} results can be paged through, narrow the search instead`);
+  }
+  const searches = [];
+
+  if (types.includes('transcript')) {
+    // transcripts of uploads and linked media are only searched by their owner
+    const ownedMediaIds = await listOwnedMediaIds(userId);
+    const filter = {
+      $text: { $search: query },
+      ...videoFilter,
+      $or: [{ videoId: { $not: new RegExp(`^${MEDIA_ID_PREFIX}`) } }, { videoId: { $in: ownedMediaIds } }]
+    };
+    searches.push(Promise.all([
+      findScored(Transcript, filter, { videoId: 1, language: 1, transcript: 1 }, window)
+        .then(docs => docs.map(doc => transcriptHit(doc, stems))),
+      Transcript.countDocuments(filter)
+    ]));
+  }
+  if (types.includes('note') && userId) {
+    const filter = { $text: { $search: query }, owner: userId, ...videoFilter };
+    searches.push(Promise.all([
+      findScored(Note, filter, { videoId: 1, title: 1, content: 1, createdAt: 1 }, window)
+        .then(notes => notes.map(note => noteHit(note, stems))),
+      Note.countDocuments(filter)
+    ]));
+  }
+
+  const results = await Promise.all(searches);
+  const hits = results
+    .flatMap(([collectionHits]) => collectionHits)
+    .sort((a, b) => b.score - a.score)
+    .slice((page - 1) * limit, page * limit);
+  const total = results.reduce((sum, [, count]) => sum + count, 0);
+
+  return { hits, total, page, limit };
+}
+
+module.exports = { search, buildSnippet, SEARCH_TYPES };
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const util = require('util');
+const axios = require('axios');
+const Groq = require('groq-sdk');
+const { logger } = require('../config/logger');
+
+const execFilePromise = util.promisify(execFile);
+
+const getConfig = () => {
+  const provider = (process.env.STT_PROVIDER || 'groq').toLowerCase();
+  return {
+    provider,
+    model: process.env.STT_MODEL || (provider === 'openai' ? 'whisper-1' : 'whisper-large-v3'),
+    baseUrl: (process.env.STT_BASE_URL || 'http://localhost:8000/v1').replace(/\/+$/, ''),
+    apiKey: process.env.STT_API_KEY || (provider === 'groq' ? process.env.GROQ_API_KEY : ''),
+    whisperCppBin: process.env.WHISPER_CPP_BIN || 'whisper-cli',
+    whisperCppModel: process.env.WHISPER_CPP_MODEL,
+    timeoutMs: parseInt(process.env.STT_TIMEOUT_MS, 10) || 60000
+  };
+};
+
+// every backend returns { segments: [{ text, start, end, avgLogprob, noSpeechProb }], language }, times in seconds;
+// the confidence fields are undefined when a backend does not report them
+const fromVerboseJson = (data) => ({
+  language: data.language,
+  segments: (data.segments || []).map(segment => ({
+    text: segment.text,
+    start: segment.start,
+    end: segment.end,
+    avgLogprob: segment.avg_logprob,
+    noSpeechProb: segment.no_speech_prob
+  }))
+});
+
+function createGroqBackend({ apiKey, model }) {
+  const client = new Groq({ apiKey, maxRetries: 0 });
+  return {
+    name: 'groq',
+    async transcribe(file, { language, prompt, signal }) {
+      const transcription = await client.audio.transcriptions.create({
+        file: fs.createReadStream(file),
+        model,
+        response_format: 'verbose_json',
+        language,
+        prompt,
+        temperature: 0
+      }, { signal });
+      return fromVerboseJson(transcription);
+    }
+  };
+}
+
+// OpenAI's /audio/transcriptions API, also served by faster-whisper-server, speaches and LocalAI
+function createOpenAICompatibleBackend({ baseUrl, apiKey, model }) {
+  return {
+    name: 'openai',
+    async transcribe(file, { language, prompt, signal }) {
+      const form = new FormData();
+      form.append('file', new Blob([await fsPromises.readFile(file)]), path.basename(file));
+      form.append('model', model);
+      form.append('response_format', 'verbose_json');
+      form.append('temperature', '0');
+      if (language) form.append('language', language);
+      if (prompt) form.append('prompt', prompt);
+      try {
+        const response = await axios.post(`${baseUrl}/audio/transcriptions`, form, {
+          headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+          signal
+        });
+        return fromVerboseJson(response.data);
+      } catch (error) {
+        if (!error.response) throw error;
+        const wrapped = new Error(error.response.data?.error?.message || `Transcription server responded with ${error.response.status}`);
+        wrapped.status = error.response.status;
+        wrapped.headers = error.response.headers;
+        throw wrapped;
+      }
+    }
+  };
+}
+
+// local whisper.cpp binary, expects 16 kHz mono wav which the preprocessor produces
+function createWhisperCppBackend({ whisperCppBin, whisperCppModel }) {
+  if (!whisperCppModel) {
+    throw new Error('WHISPER_CPP_MODEL must point at a ggml model file when STT_PROVIDER is whispercpp');
+  }
+  return {
+    name: 'whispercpp',
+    async transcribe(file, { language, prompt, signal }) {
+      const outputBase = path.join(os.tmpdir(), `whispercpp_${path.basename(file, path.extname(file))}_${Date.now()}`);
+      const args = ['-m', whisperCppModel, '-f', file, '-oj', '-of', outputBase, '-l', language || 'auto', '-np'];
+      if (prompt) args.push('--prompt', prompt);
+      try {
+        await execFilePromise(whisperCppBin, args, { signal, maxBuffer: 10 * 1024 * 1024 });
+        const output = JSON.parse(await fsPromises.readFile(`${outputBase}.json`, 'utf8'));
+        return {
+          language: output.result?.language,
+          segments: (output.transcription || []).map(item => ({
+            text: item.text,
+            start: item.offsets.from / 1000,
+            end: item.offsets.to / 1000
+          }))
+        };
+      } finally {
+        await fsPromises.unlink(`${outputBase}.json`).catch(() => {});
+      }
+    }
+  };
+}
+
+let cachedBackend = null;
+let cachedBackendKey = null;
+
+const getBackend = (config) => {
+  const key = JSON.stringify(config);
+  if (cachedBackend && cachedBackendKey === key) return cachedBackend;
+  if (config.provider === 'groq') cachedBackend = createGroqBackend(config);
+  else if (config.provider === 'openai') cachedBackend = createOpenAICompatibleBackend(config);
+  else if (config.provider === 'whispercpp') cachedBackend = createWhisperCppBackend(config);
+  else throw new Error(`Unknown STT_PROVIDER "${config.provider}"`);
+  cachedBackendKey = key;
+  return cachedBackend;
+};
+
+// transcribes one audio file with the configured backend, bounded by STT_TIMEOUT_MS
+async function transcribeAudio(file, { language, prompt } = {}) {
+  const config = getConfig();
+  const backend = getBackend(config);
+  const signal = AbortSignal.timeout(config.timeoutMs);
+  const startTime = Date.now();
+  try {
+    const result = await backend.transcribe(file, { language, prompt, signal });
+    logger.info(`${backend.name} transcribed ${file} in ${Date.now() - startTime}ms: ${result.segments.length} segments`);
+    return result;
+  } catch (error) {
+    if (signal.aborted) throw new Error('Transcription timeout');
+    throw error;
+  }
+}
+
+module.exports = { transcribeAudio };
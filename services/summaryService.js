@@ -0,0 +1,140 @@
+const Summary = require('../models/Summary');
+const { getTranscriptRecord } = require('./transcriptService');
+const { fetchVideoDetails } = require('./videoService');
+const { summarizePassage, combineSummaries } = require('./groqService');
+const { formatTime } = require('../utils/formatters');
+const { ValidationError, NotFoundError, UpstreamError } = require('../utils/errors');
+const { logger } = require('../config/logger');
+
+// transcript characters per map request
+const MAP_CHARS = 10000;
+// part summaries larger than this together are merged in rounds before the final summary
+const REDUCE_CHARS = 12000;
+
+const SUMMARY_TYPES = {
+  tldr: {
+    instructions: 'Write a TL;DR of one or two sentences capturing what the video is about and its main takeaway.',
+    maxTokens: 150
+  },
+  paragraph: {
+    instructions: 'Write a single paragraph of about 120 to 180 words summarising the video.',
+    maxTokens: 400
+  },
+  detailed: {
+    instructions: 'Write a detailed summary in Markdown: a short overview paragraph, then one "##" section per main topic ' +
+      'in the order the video covers them, each with bullet points for the key ideas, definitions and examples.',
+    maxTokens: 2000
+  }
+};
+
+// consecutive segments grouped into parts of about maxChars, with their time range
+const splitTranscript = (segments, maxChars) => {
+  const parts = [];
+  let current = null;
+  for (const segment of segments) {
+    if (!current || (current.text.length + segment.text.length > maxChars && current.text)) {
+      current = { start: segment.offset, end: segment.offset + segment.duration, text: '' };
+      parts.push(current);
+    }
+    current.text += (current.text ? ' ' : '') + segment.text;
+    current.end = segment.offset + segment.duration;
+  }
+  return parts;
+};
+
+const labelPart = (part) => `(${formatTime(part.start / 1000)}-${formatTime(part.end / 1000)}) ${part.content}`;
+
+// merges part summaries in batches until they fit one final request, keeping video order and time ranges
+async function reduceParts(parts, title) {
+  let round = parts;
+  while (round.length > 1 && round.map(labelPart).join('\n\n').length > REDUCE_CHARS) {
+    const batches = [];
+    let batch = [];
+    let size = 0;
+    for (const part of round) {
+      const length = labelPart(part).length;
+      if (batch.length && size + length > REDUCE_CHARS) {
+        batches.push(batch);
+        batch = [];
+        size = 0;
+      }
+      batch.push(part);
+      size += length;
+    }
+    batches.push(batch);
+    // a round that cannot shrink the list would loop forever, the final request copes with the overflow
+    if (batches.length === round.length) break;
+
+    logger.info(`Merging ${round.length} part summaries into ${batches.length}`);
+    round = [];
+    for (const group of batches) {
+      const { content } = await combineSummaries({
+        title,
+        summaries: group.map(labelPart).join('\n\n'),
+        instructions: 'Merge these notes into one set of dense notes, keeping every main idea in order.',
+        maxTokens: 1000
+      });
+      round.push({ start: group[0].start, end: group[group.length - 1].end, content });
+    }
+  }
+  return round;
+}
+
+async function buildSummary(segments, title, type) {
+  const { instructions, maxTokens } = SUMMARY_TYPES[type];
+  const parts = splitTranscript(segments, MAP_CHARS);
+
+  // a short transcript fits one request, summarise it directly
+  if (parts.length === 1) {
+    const { content, model } = await combineSummaries({ title, summaries: labelPart({ ...parts[0], content: parts[0].text }), instructions, maxTokens });
+    return { content, model, chunkCount: 1 };
+  }
+
+  logger.info(`Summarising ${parts.length} transcript parts for "${title}"`);
+  const mapped = [];
+  for (const part of parts) {
+    const { content } = await summarizePassage({ title, passage: part.text });
+    mapped.push({ start: part.start, end: part.end, content });
+  }
+  const reduced = await reduceParts(mapped, title);
+  const { content, model } = await combineSummaries({ title, summaries: reduced.map(labelPart).join('\n\n'), instructions, maxTokens });
+  return { content, model, chunkCount: parts.length };
+}
+
+// cached per video and type; a summary of an older transcript document is regenerated
+async function getSummary(videoId, type = 'paragraph', { force = false, transcription } = {}) {
+  if (!SUMMARY_TYPES[type]) {
+    throw new ValidationError(`Unsupported summary type, use one of: ${Object.keys(SUMMARY_TYPES).join(', ')}`);
+  }
+
+  const record = await getTranscriptRecord(videoId, null, transcription);
+  if (!record?.transcript.length) {
+    throw new NotFoundError('Transcript not available for this video');
+  }
+
+  const cached = await Summary.findOne({ videoId, type }).lean();
+  if (cached && !force && String(cached.transcript) === String(record._id)) {
+    return { ...cached, cached: true };
+  }
+
+  const videoDetails = await fetchVideoDetails(videoId).catch(() => null);
+  const title = videoDetails?.title || `Video ID: ${videoId}`;
+  const { content, model, chunkCount } = await buildSummary(record.transcript, title, type);
+  if (!content) {
+    throw new UpstreamError('The model did not return a summary, please try again');
+  }
+
+  const summary = await Summary.findOneAndUpdate(
+    { videoId, type },
+    { transcript: record._id, language: record.language, content, chunkCount, model, createdAt: new Date() },
+    { upsert: true, new: true }
+  ).lean();
+  logger.info(`Generated ${type} summary for ${videoId} from ${chunkCount} parts`);
+  return { ...summary, cached: false };
+}
+
+// the stored summary of this transcript document, or null; never calls the model
+const findCachedSummary = (record, type) =>
+  Summary.findOne({ videoId: record.videoId, type, transcript: record._id }).lean();
+
+module.exports = { getSummary, findCachedSummary, SUMMARY_TYPES };
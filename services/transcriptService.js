@@ -1,84 +1,114 @@
 const { YoutubeTranscript } = require('youtube-transcript');
-const Groq = require('groq-sdk');
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
 const Transcript = require('../models/Transcript');
 const { fetchVideoDetails } = require('./videoService');
+const { chatJson } = require('./llmService');
+const { transcribeAudio } = require('./speechToTextService');
+const { withRetry } = require('../utils/retry');
+const { alignRefinedText } = require('../utils/alignment');
+const { normalizeLanguage } = require('../utils/languages');
+const { isMediaId } = require('../utils/mediaIds');
+const { RateLimitError, QuotaExceededError } = require('../utils/errors');
+const { env } = require('../config/env');
 const { logger } = require('../config/logger');
 
-async function fetchTranscript(videoId, language = 'en') {
+// matches the ffmpeg segment_time used by audioExtractor
+const CHUNK_SECONDS = 60;
+// segments per refinement request, small enough for the model to return them one for one
+const REFINE_BATCH_SIZE = 40;
+
+// whisper is off in production unless WHISPER_ENABLED opts in, parsed by envalid like the worker switch in server.js
+const isWhisperEnabled = () => env.WHISPER_ENABLED;
+
+// language is the transcript's own language; sourceLanguage and translatedFrom describe where it came from
+async function saveTranscript(videoId, transcript, { source, language, sourceLanguage = language, translatedFrom = null, isOriginal = false }) {
   try {
-    const cached = await Transcript.findOne({ videoId });
-    if (cached) {
-      logger.info(`Using cached transcript for ${videoId}`);
-      return cached.transcript;
+    const saved = await Transcript.create({ videoId, language, sourceLanguage, translatedFrom, isOriginal, source, transcript });
+    logger.info(`Saved ${source} transcript for ${videoId} in ${language}`);
+    return saved;
+  } catch (error) {
+    if (error.code === 11000) {
+      logger.warn(`Duplicate ${language} transcript for ${videoId}, using cached`);
+      // the default caption track may already be stored because its language was asked for explicitly
+      return isOriginal
+        ? Transcript.findOneAndUpdate({ videoId, language }, { isOriginal: true }, { new: true })
+        : Transcript.findOne({ videoId, language });
     }
+    throw error;
+  }
+}
 
-    let transcript;
-    try {
-      transcript = await YoutubeTranscript.fetchTranscript(videoId, { lang: language });
-      logger.info(`Public transcript fetched for ${videoId} in language ${language}`);
-    } catch (error) {
-      logger.warn(`No transcript in ${language} for ${videoId}, trying fallback languages...`);
-      const fallbackLangs = ['ta', 'hi', 'en'];
-      for (const lang of fallbackLangs) {
-        try {
-          transcript = await YoutubeTranscript.fetchTranscript(videoId, { lang });
-          logger.info(`Public transcript fetched for ${videoId} in fallback language ${lang}`);
-          break;
-        } catch (err) {
-          logger.warn(`No transcript in ${lang}`);
-        }
+// youtube-transcript reports seconds, stored segments use milliseconds like the Whisper path
+const toSegments = (items) => items.map(item => ({
+  text: item.text,
+  offset: Math.round(item.offset * 1000),
+  duration: Math.round(item.duration * 1000)
+}));
+
+// returns the caption items, or null when the video has no track (in that language)
+async function fetchCaptionTrack(videoId, language) {
+  try {
+    const items = await YoutubeTranscript.fetchTranscript(videoId, language ? { lang: language } : undefined);
+    return items?.length ? items : null;
+  } catch (error) {
+    logger.warn(`No ${language || 'default'} caption track for ${videoId}: ${error.message}`);
+    return null;
+  }
+}
+
+// resolves the stored Transcript document for a video. with a language, that language is preferred
+// (cached, then its caption track); otherwise, or when it is unavailable, the original-language
+// transcript is used. translations are never fetched here, see translationService.
+// transcription is the caller's { userId, charge }: a Whisper job queued here runs for userId once charge()
+// has accepted it; without it the job is queued for nobody and free
+async function getTranscriptRecord(videoId, language, { userId = null, charge } = {}) {
+  try {
+    const requested = normalizeLanguage(language);
+    // uploads and linked media have no caption tracks, only Whisper transcripts
+    const hasCaptions = !isMediaId(videoId);
+    if (requested) {
+      const cached = await Transcript.findOne({ videoId, language: requested });
+      if (cached) {
+        logger.info(`Using cached ${requested} transcript for ${videoId}`);
+        return cached;
+      }
+      const items = hasCaptions && await fetchCaptionTrack(videoId, requested);
+      if (items) {
+        logger.info(`Public ${requested} transcript fetched for ${videoId}`);
+        return await saveTranscript(videoId, toSegments(items), { source: 'youtube', language: requested });
       }
     }
 
-    if (transcript && transcript.length > 0) {
-      const formatted = transcript.map(item => ({
-        text: item.text,
-        offset: item.offset,
-        duration: item.duration
-      }));
-      try {
-        await Transcript.create({ videoId, transcript: formatted });
-        logger.info(`Saved public transcript for ${videoId}`);
-      } catch (error) {
-        if (error.code === 11000) {
-          logger.warn(`Duplicate transcript for ${videoId}, using cached`);
-          return (await Transcript.findOne({ videoId })).transcript;
-        }
-        throw error;
-      }
-      return formatted;
+    const original = await Transcript.findOne({ videoId, isOriginal: true });
+    if (original) {
+      logger.info(`Using cached ${original.language} transcript for ${videoId}`);
+      return original;
     }
 
-    // production check
-    const isProduction = process.env.NODE_ENV === 'production';
-    logger.info(`Is production mode: ${isProduction}`);
-    if (isProduction) {
-      logger.info(`Public transcript unavailable for ${videoId} in production, skipping Whisper generation`);
-      return null; 
+    const items = hasCaptions && await fetchCaptionTrack(videoId);
+    if (items) {
+      // without a lang option the library picks the first track and reports its language code
+      const trackLanguage = normalizeLanguage(items[0].lang) || 'en';
+      logger.info(`Public transcript fetched for ${videoId} in default language ${trackLanguage}`);
+      return await saveTranscript(videoId, toSegments(items), { source: 'youtube', language: trackLanguage, isOriginal: true });
     }
 
-    // development mode
-    logger.warn(`Public transcript unavailable for ${videoId}, attempting Whisper generation`);
-    try {
-      logger.info(`Entering generateWhisperTranscript for ${videoId}`);
-      const transcript = await generateWhisperTranscript(videoId, language);
-      try {
-        await Transcript.create({ videoId, transcript });
-        logger.info(`Saved Whisper transcript for ${videoId}`);
-      } catch (createError) {
-        if (createError.code === 11000) {
-          logger.warn(`Duplicate transcript for ${videoId}, using cached`);
-          return (await Transcript.findOne({ videoId })).transcript;
-        }
-        throw createError;
-      }
-      return transcript;
-    } catch (whisperError) {
-      logger.error(`Failed to generate transcript for ${videoId}:`, whisperError);
-      throw new Error('Failed to fetch or generate transcript');
+    if (!isWhisperEnabled()) {
+      logger.info(`Public transcript unavailable for ${videoId} and Whisper generation is disabled`);
+      return null;
     }
+
+    // whisper runs in the background job queue; the transcript is cached once the job completes.
+    // with no language Whisper detects it from the audio
+    const { findActiveJob, enqueueTranscriptionJob } = require('./transcriptionJobService');
+    let job = await findActiveJob(videoId);
+    if (!job) {
+      if (charge) await charge();
+      job = await enqueueTranscriptionJob({ videoId, language: requested, userId });
+    }
+    logger.info(`Public transcript unavailable for ${videoId}, Whisper job ${job._id} is ${job.status}`);
+    return null;
   } catch (error) {
+    if (error instanceof RateLimitError || error instanceof QuotaExceededError) throw error;
     logger.warn(`Error fetching transcript for ${videoId}: ${error.message}`);
     const isProduction = process.env.NODE_ENV === 'production';
     logger.info(`Is production mode (error path): ${isProduction}`);
@@ -90,28 +120,48 @@ async function fetchTranscript(videoId, language = 'en') {
   }
 }
 
-async function generateWhisperTranscript(videoId, language) {
-  const { extractAudio, cleanupAudio } = require('../utils/audioExtractor');
+async function fetchTranscript(videoId, language, transcription) {
+  const record = await getTranscriptRecord(videoId, language, transcription);
+  return record ? record.transcript : null;
+}
+
+// resolves to { transcript, language, audioSeconds }; language is the requested one or what Whisper detected.
+// onProgress receives { stage, completedChunks, totalChunks, percent }; isCancelled is polled between steps
+async function generateWhisperTranscript(videoId, language, { onProgress = async () => {}, isCancelled = async () => false } = {}) {
+  const { extractAudio, cleanupAudio, getAudioDuration } = require('../utils/audioExtractor');
   const { preprocessAudio } = require('../utils/audioPreprocessor');
-  const fs = require('fs');
+  const { resolveAudioSource } = require('./mediaService');
   const fsPromises = require('fs').promises;
-  const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
   let audioChunks = [];
   let preprocessedChunks = [];
 
+  const throwIfCancelled = async () => {
+    if (await isCancelled()) {
+      const error = new Error('Transcription cancelled');
+      error.cancelled = true;
+      throw error;
+    }
+  };
+
   try {
+    await onProgress({ stage: 'downloading', percent: 0 });
     logger.info(`Fetching video details for ${videoId}`);
     const videoDetails = await fetchVideoDetails(videoId);
     const prompt = videoDetails?.title || '';
     logger.info(`Video title: ${prompt}`);
 
-    logger.info(`Extracting audio for ${videoUrl}`);
-    audioChunks = await extractAudio(videoUrl);
+    const audioSource = await resolveAudioSource(videoId);
+    logger.info(`Extracting audio for ${audioSource.url || `uploaded file ${audioSource.file}`}`);
+    audioChunks = await extractAudio(audioSource);
     logger.info(`Extracted ${audioChunks.length} audio chunks`);
 
     // filter chunks to include only those for the current videoId
     audioChunks = audioChunks.filter(chunk => chunk.includes(`audio_${videoId}_`));
     logger.info(`Filtered to ${audioChunks.length} chunks for ${videoId}: ${audioChunks.join(', ')}`);
+    const totalChunks = audioChunks.length;
+
+    await throwIfCancelled();
+    await onProgress({ stage: 'preprocessing', completedChunks: 0, totalChunks, percent: 5 });
 
     const preprocessPromises = audioChunks.map(async (chunk) => {
       if (chunk.includes('_preprocessed')) return chunk;
@@ -131,85 +181,62 @@ async function generateWhisperTranscript(videoId, language) {
 
     let fullTranscript = [];
     let offset = 0;
-    for (const chunk of preprocessedChunks) {
+    let detectedLanguage = language;
+    for (const [chunkIndex, chunk] of preprocessedChunks.entries()) {
+      await throwIfCancelled();
+      await onProgress({
+        stage: 'transcribing',
+        completedChunks: chunkIndex,
+        totalChunks,
+        percent: Math.round(10 + (80 * chunkIndex) / totalChunks)
+      });
       logger.info(`Transcribing chunk ${chunk}`);
-      let attempts = 0;
-      const maxRetries = 3;
-      while (attempts < maxRetries) {
+      const chunkDuration = await getAudioDuration(chunk).catch(error => {
+        logger.warn(`${error.message}, assuming ${CHUNK_SECONDS}s`);
+        return CHUNK_SECONDS;
+      });
+      const transcription = await withRetry(async () => {
+        // verify file exists before every attempt
         try {
-          // verify file exists before transcription
           await fsPromises.access(chunk);
-          const startTime = Date.now();
-          const stream = fs.createReadStream(chunk);
-          stream.on('error', (err) => {
-            logger.error(`Stream error for ${chunk}:`, err);
-            throw new Error(`Failed to read audio file: ${err.message}`);
-          });
-          const transcription = await Promise.race([
-            groq.audio.transcriptions.create({
-              file: stream,
-              model: 'whisper-large-v3',
-              response_format: 'verbose_json',
-              language,
-              prompt,
-              temperature: 0
-            }),
-            new Promise((_, reject) => setTimeout(() => reject(new Error('Transcription timeout')), 60000)) // 60-second timeout
-          ]);
-          logger.info(`Transcription for ${chunk} took ${Date.now() - startTime}ms: ${transcription.segments.length} segments`);
-          const segments = transcription.segments.filter(
-            segment => segment.avg_logprob > -0.4 && segment.no_speech_prob < 0.4
-          );
-          fullTranscript.push(
-            ...segments.map(segment => ({
-              text: segment.text,
-              offset: (segment.start + offset) * 1000,
-              duration: (segment.end - segment.start) * 1000
-            }))
-          );
-          offset += segments[segments.length - 1]?.end || 60; // match segment_time
-          break;
-        } catch (error) {
-          attempts++;
-          logger.error(`Transcription attempt ${attempts} failed for ${chunk}: ${error.message}`);
-          if (error.status === 429 || error.message.includes('rate_limit') || error.message === 'Transcription timeout') {
-            const retryAfter = parseInt(error.headers?.['retry-after']) * 1000 || Math.pow(2, attempts) * 1000;
-            logger.warn(`Retryable error, retrying after ${retryAfter}ms`);
-            if (attempts >= maxRetries) {
-              throw new Error(`Transcription failed after ${maxRetries} retries: ${error.message}`);
-            }
-            // verify file still exists before retry
-            try {
-              await fsPromises.access(chunk);
-            } catch (err) {
-              logger.error(`File ${chunk} missing before retry:`, err);
-              throw new Error(`Audio file missing: ${err.message}`);
-            }
-            await new Promise(resolve => setTimeout(resolve, retryAfter));
-          } else {
-            throw new Error(`Whisper transcription failed: ${error.message}`);
-          }
+        } catch (err) {
+          logger.error(`File ${chunk} missing before transcription:`, err);
+          throw new Error(`Audio file missing: ${err.message}`);
         }
-      }
+        return transcribeAudio(chunk, { language, prompt });
+      }, { retries: 3, label: `transcription of ${chunk}` }).catch(error => {
+        throw new Error(`Whisper transcription failed: ${error.message}`);
+      });
+
+      detectedLanguage = detectedLanguage || normalizeLanguage(transcription.language);
+
+      // backends without confidence scores keep every segment
+      const segments = transcription.segments.filter(
+        segment => (segment.avgLogprob ?? 0) > -0.4 && (segment.noSpeechProb ?? 0) < 0.4
+      );
+      fullTranscript.push(
+        ...segments.map(segment => ({
+          text: segment.text.trim(),
+          offset: Math.round((segment.start + offset) * 1000),
+          duration: Math.round((segment.end - segment.start) * 1000)
+        }))
+      );
+      // the next chunk starts where this audio file ends, whatever segments were dropped above
+      offset += chunkDuration;
     }
 
     if (fullTranscript.length > 0) {
-      const rawText = fullTranscript.map(item => item.text).join(' ');
-      logger.info(`Raw transcript length: ${rawText.length} chars`);
-      const refinedText = await refineTranscript(rawText, prompt);
-      let refinedIndex = 0;
-      const finalTranscript = fullTranscript.map(item => {
-        const length = item.text.length;
-        const refinedSegment = refinedText.slice(refinedIndex, refinedIndex + length);
-        refinedIndex += length;
-        return { ...item, text: refinedSegment };
-      });
-      logger.info(`Final transcript generated with ${finalTranscript.length} segments`);
-      return finalTranscript;
+      await throwIfCancelled();
+      await onProgress({ stage: 'refining', completedChunks: totalChunks, totalChunks, percent: 90 });
+      const refinedTexts = await refineSegments(fullTranscript, prompt);
+      const finalTranscript = fullTranscript.map((item, i) => ({ ...item, text: refinedTexts[i] }));
+      logger.info(`Final transcript generated with ${finalTranscript.length} segments in ${detectedLanguage || 'an undetected language'}`);
+      return { transcript: finalTranscript, language: detectedLanguage || null, audioSeconds: offset };
     }
 
     throw new Error('No valid transcript generated');
   } catch (error) {
+    if (error.cancelled) throw error;
     logger.error(`Whisper transcription failed for ${videoId}:`, error);
     throw new Error(`Failed to generate transcript: ${error.message}`);
   } finally {
@@ -221,30 +248,52 @@ async function generateWhisperTranscript(videoId, language) {
   }
 }
 
-async function refineTranscript(rawText, videoTitle) {
-  try {
-    logger.info(`Refining transcript for ${videoTitle}`);
-    const response = await Promise.race([
-      groq.chat.completions.create({
+// corrects segment text in batches without moving words across timestamps; returns one string per segment
+async function refineSegments(segments, videoTitle) {
+  logger.info(`Refining ${segments.length} transcript segments for ${videoTitle}`);
+  const refined = [];
+
+  for (let i = 0; i < segments.length; i += REFINE_BATCH_SIZE) {
+    const batch = segments.slice(i, i + REFINE_BATCH_SIZE);
+    const originals = batch.map(segment => segment.text);
+    try {
+      const { data } = await chatJson({
         messages: [
           {
             role: 'system',
-            content: 'You are an expert editor. Correct grammar, spelling, and context errors in the transcript, using the video title as context: "' + videoTitle + '"'
+            content: 'You are an expert editor. Correct grammar, spelling, and context errors in transcript segments, ' +
+              'using the video title as context: "' + videoTitle + '". ' +
+              'Never merge, split, reorder or drop segments, and keep every word in the segment it was spoken in. ' +
+              'Respond only with JSON.'
           },
-          { role: 'user', content: rawText }
+          {
+            role: 'user',
+            content: `Return {"segments": [...]} with exactly ${batch.length} corrected strings, one per input segment:\n` +
+              JSON.stringify(originals)
+          }
         ],
-        model: 'llama-3.3-70b-versatile',
-        max_tokens: 4000,
-        temperature: 0
-      }),
-      new Promise((_, reject) => setTimeout(() => reject(new Error('Refinement timeout')), 60000)) // 60-second timeout
-    ]);
-    logger.info(`Refined transcript received`);
-    return response.choices[0]?.message?.content || rawText;
-  } catch (error) {
-    logger.error('Transcript refinement failed:', error);
-    return rawText; // fallback to raw text
+        task: 'refine',
+        maxTokens: 4000,
+        temperature: 0,
+        timeoutMs: 60000
+      });
+
+      const corrected = data.segments;
+      if (Array.isArray(corrected) && corrected.length === batch.length && corrected.every(text => typeof text === 'string')) {
+        refined.push(...corrected.map((text, j) => text.trim() || originals[j]));
+      } else {
+        // the model merged or split segments, so map its words back onto the original ones
+        const text = Array.isArray(corrected) ? corrected.join(' ') : String(corrected || '');
+        logger.warn(`Refinement returned ${Array.isArray(corrected) ? corrected.length : 'no'} segments for a batch of ${batch.length}, aligning words`);
+        refined.push(...(text.trim() ? alignRefinedText(batch, text) : originals));
+      }
+    } catch (error) {
+      logger.error(`Transcript refinement failed for segments ${i}-${i + batch.length - 1}:`, error);
+      refined.push(...originals); // fallback to raw text
+    }
   }
+
+  return refined;
 }
 
-module.exports = { fetchTranscript };
+module.exports = { fetchTranscript, getTranscriptRecord, generateWhisperTranscript, saveTranscript, isWhisperEnabled };
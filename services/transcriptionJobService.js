@@ -0,0 +1,165 @@
+const TranscriptionJob = require('../models/TranscriptionJob');
+const Transcript = require('../models/Transcript');
+const MediaItem = require('../models/MediaItem');
+const { generateWhisperTranscript, saveTranscript } = require('./transcriptService');
+const { recordTranscriptionMinutes } = require('./usageService');
+const { isMediaId } = require('../utils/mediaIds');
+const { runWithUser } = require('../utils/requestContext');
+const { logger } = require('../config/logger');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const POLL_INTERVAL_MS = 5000;
+const MAX_ATTEMPTS = 3;
+// running jobs without a heartbeat for this long are assumed orphaned by a crash or restart
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+
+let workerTimer = null;
+let workerBusy = false;
+
+const findActiveJob = (videoId) => TranscriptionJob.findOne({ videoId, status: { $in: ACTIVE_STATUSES } });
+
+async function enqueueTranscriptionJob({ videoId, language = null, userId, source }) {
+  const active = await findActiveJob(videoId);
+  if (active) return active;
+  if (!source) {
+    const media = isMediaId(videoId) && await MediaItem.findOne({ mediaId: videoId }).select('kind').lean();
+    source = media ? media.kind : 'youtube';
+  }
+  try {
+    const job = await TranscriptionJob.create({ videoId, language, user: userId, source });
+    logger.info(`Queued transcription job ${job._id} for ${videoId}`);
+    return job;
+  } catch (error) {
+    // a concurrent request queued the video first
+    if (error.code === 11000) {
+      const winner = await findActiveJob(videoId);
+      if (winner) return winner;
+    }
+    throw error;
+  }
+}
+
+async function cancelTranscriptionJob(job) {
+  if (!ACTIVE_STATUSES.includes(job.status)) return job;
+  // a running worker notices the status change at its next checkpoint
+  const cancelled = await TranscriptionJob.findOneAndUpdate(
+    { _id: job._id, status: { $in: ACTIVE_STATUSES } },
+    { status: 'cancelled', stage: 'cancelled', finishedAt: new Date() },
+    { new: true }
+  );
+  return cancelled || TranscriptionJob.findById(job._id);
+}
+
+async function requeueStaleJobs() {
+  const staleBefore = new Date(Date.now() - STALE_LOCK_MS);
+  const stale = { status: 'running', lockedAt: { $lt: staleBefore } };
+  const failed = await TranscriptionJob.updateMany(
+    { ...stale, attempts: { $gte: MAX_ATTEMPTS } },
+    { status: 'failed', error: 'Worker stopped while processing the job', finishedAt: new Date() }
+  );
+  const requeued = await TranscriptionJob.updateMany(stale, { status: 'queued', stage: 'queued' });
+  if (failed.modifiedCount || requeued.modifiedCount) {
+    logger.warn(`Recovered stale transcription jobs: ${requeued.modifiedCount} requeued, ${failed.modifiedCount} failed`);
+  }
+}
+
+async function claimNextJob() {
+  return TranscriptionJob.findOneAndUpdate(
+    { status: 'queued' },
+    { status: 'running', stage: 'starting', lockedAt: new Date(), startedAt: new Date(), $inc: { attempts: 1 } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+}
+
+async function runJob(job) {
+  logger.info(`Running transcription job ${job._id} for ${job.videoId} (attempt ${job.attempts})`);
+  const isCancelled = async () => {
+    const current = await TranscriptionJob.findById(job._id).select('status').lean();
+    return !current || current.status === 'cancelled';
+  };
+  const onProgress = async ({ stage, completedChunks = 0, totalChunks = 0, percent }) => {
+    await TranscriptionJob.updateOne(
+      { _id: job._id, status: 'running' },
+      { stage, progress: { completedChunks, totalChunks, percent }, lockedAt: new Date() }
+    );
+  };
+
+  // long downloads report no progress, so keep the lock fresh independently
+  const heartbeat = setInterval(() => {
+    TranscriptionJob.updateOne({ _id: job._id, status: 'running' }, { lockedAt: new Date() })
+      .catch(error => logger.warn(`Heartbeat failed for job ${job._id}: ${error.message}`));
+  }, HEARTBEAT_INTERVAL_MS);
+
+  try {
+    // another job or a public transcript may have filled the cache meanwhile
+    const existing = job.language
+      ? { videoId: job.videoId, language: job.language }
+      : { videoId: job.videoId, isOriginal: true };
+    if (!(await Transcript.exists(existing))) {
+      // refinement tokens and audio minutes count against the user who queued the job
+      const { transcript, language, audioSeconds } = await runWithUser(job.user, () =>
+        generateWhisperTranscript(job.videoId, job.language, { onProgress, isCancelled })
+      );
+      await onProgress({ stage: 'saving', percent: 95 });
+      // whisper only runs without a default caption track, so the audio's transcript is the original one
+      const isOriginal = !(await Transcript.exists({ videoId: job.videoId, isOriginal: true }));
+      await saveTranscript(job.videoId, transcript, { source: 'whisper', language: language || 'en', isOriginal });
+      await recordTranscriptionMinutes(job.user, audioSeconds / 60);
+    }
+    await TranscriptionJob.updateOne(
+      { _id: job._id, status: 'running' },
+      { status: 'completed', stage: 'completed', 'progress.percent': 100, finishedAt: new Date() }
+    );
+    logger.info(`Transcription job ${job._id} completed`);
+  } catch (error) {
+    if (error.cancelled) {
+      logger.info(`Transcription job ${job._id} cancelled`);
+      return;
+    }
+    logger.error(`Transcription job ${job._id} failed: ${error.message}`);
+    await TranscriptionJob.updateOne(
+      { _id: job._id, status: 'running' },
+      { status: 'failed', stage: 'failed', error: error.message, finishedAt: new Date() }
+    );
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+async function pollQueue() {
+  if (workerBusy) return;
+  workerBusy = true;
+  try {
+    await requeueStaleJobs();
+    let job;
+    while (workerTimer && (job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    logger.error(`Transcription worker error: ${error.message}`);
+  } finally {
+    workerBusy = false;
+  }
+}
+
+// jobs are processed one at a time since each one saturates ffmpeg and the Whisper quota
+function startTranscriptionWorker() {
+  if (workerTimer) return;
+  logger.info('Starting transcription worker');
+  workerTimer = setInterval(pollQueue, POLL_INTERVAL_MS);
+  pollQueue();
+}
+
+function stopTranscriptionWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  findActiveJob,
+  enqueueTranscriptionJob,
+  cancelTranscriptionJob,
+  startTranscriptionWorker,
+  stopTranscriptionWorker
+};
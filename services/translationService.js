@@ -0,0 +1,84 @@
+const Transcript = require('../models/Transcript');
+const { getTranscriptRecord, saveTranscript } = require('./transcriptService');
+const { chatJson } = require('./llmService');
+const { normalizeLanguage, languageName } = require('../utils/languages');
+const { ValidationError } = require('../utils/errors');
+const { logger } = require('../config/logger');
+
+// segments per translation request, same budget as transcript refinement
+const TRANSLATE_BATCH_SIZE = 40;
+
+// translates a batch one string per segment; a batch the model merges or splits is halved and retried,
+// since unlike refinement the words cannot be aligned back onto the original segments
+async function translateBatch(texts, targetName, sourceName) {
+  const { data } = await chatJson({
+    messages: [
+      {
+        role: 'system',
+        content: `You are a professional translator. Translate transcript segments from ${sourceName} into ${targetName}. ` +
+          'Translate each segment on its own: never merge, split, reorder or drop segments. Respond only with JSON.'
+      },
+      {
+        role: 'user',
+        content: `Return {"segments": [...]} with exactly ${texts.length} translated strings, one per input segment:\n` +
+          JSON.stringify(texts)
+      }
+    ],
+    task: 'translate',
+    maxTokens: 4000,
+    temperature: 0,
+    timeoutMs: 60000
+  });
+
+  const translated = data.segments;
+  if (Array.isArray(translated) && translated.length === texts.length && translated.every(text => typeof text === 'string')) {
+    return translated.map((text, i) => text.trim() || texts[i]);
+  }
+  if (texts.length === 1) {
+    const text = Array.isArray(translated) ? translated.join(' ') : String(translated || '');
+    return [text.trim() || texts[0]];
+  }
+  logger.warn(`Translation returned ${Array.isArray(translated) ? translated.length : 'no'} segments for a batch of ${texts.length}, splitting`);
+  const middle = Math.ceil(texts.length / 2);
+  return [
+    ...(await translateBatch(texts.slice(0, middle), targetName, sourceName)),
+    ...(await translateBatch(texts.slice(middle), targetName, sourceName))
+  ];
+}
+
+// returns the Transcript document for targetLanguage, translating the original transcript when none is
+// stored yet; segment timings are kept so citations and exports line up with the video
+async function translateTranscript(videoId, targetLanguage, transcription) {
+  const target = normalizeLanguage(targetLanguage);
+  if (!target) {
+    throw new ValidationError(`Unknown language: ${targetLanguage}`);
+  }
+
+  const cached = await Transcript.findOne({ videoId, language: target });
+  if (cached) return cached;
+
+  const original = await getTranscriptRecord(videoId, null, transcription);
+  if (!original?.transcript.length) return null;
+  if (original.language === target) return original;
+
+  const targetName = languageName(target);
+  const sourceName = languageName(original.language);
+  logger.info(`Translating ${original.transcript.length} segments of ${videoId} from ${original.language} to ${target}`);
+
+  const segments = original.transcript;
+  const translated = [];
+  for (let i = 0; i < segments.length; i += TRANSLATE_BATCH_SIZE) {
+    const batch = segments.slice(i, i + TRANSLATE_BATCH_SIZE);
+    const texts = await translateBatch(batch.map(segment => segment.text), targetName, sourceName);
+    translated.push(...batch.map((segment, j) => ({ text: texts[j], offset: segment.offset, duration: segment.duration })));
+  }
+
+  return saveTranscript(videoId, translated, {
+    source: 'translation',
+    language: target,
+    sourceLanguage: original.sourceLanguage || original.language,
+    translatedFrom: original.language
+  });
+}
+
+module.exports = { translateTranscript };
@@ -0,0 +1,74 @@
+const Usage = require('../models/Usage');
+const { getContextUserId } = require('../utils/requestContext');
+const { logger } = require('../config/logger');
+
+const DEFAULT_LLM_DAILY_TOKENS = 200000;
+const DEFAULT_TRANSCRIPTION_DAILY_MINUTES = 120;
+
+// read per call like the llm settings, so quotas can change without touching code
+const getQuotas = () => ({
+  llmTokens: parseInt(process.env.LLM_DAILY_TOKEN_QUOTA, 10) || DEFAULT_LLM_DAILY_TOKENS,
+  transcriptionMinutes: parseFloat(process.env.TRANSCRIPTION_DAILY_MINUTES_QUOTA) || DEFAULT_TRANSCRIPTION_DAILY_MINUTES
+});
+
+const currentDay = () => new Date().toISOString().slice(0, 10);
+
+const nextReset = () => {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+};
+
+async function addUsage(userId, increments) {
+  await Usage.updateOne(
+    { user: userId, day: currentDay() },
+    { $inc: increments, $setOnInsert: { createdAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+// called by llmService after every completion; anonymous calls are not attributed to anyone
+function recordLlmUsage(usage) {
+  const userId = getContextUserId();
+  if (!userId || !usage) return;
+  addUsage(userId, {
+    llmTokens: usage.totalTokens,
+    promptTokens: usage.promptTokens,
+    completionTokens: usage.completionTokens,
+    llmRequests: 1
+  }).catch(error => logger.warn(`Failed to record LLM usage for ${userId}: ${error.message}`));
+}
+
+async function recordTranscriptionMinutes(userId, minutes) {
+  if (!userId || !minutes) return;
+  try {
+    await addUsage(userId, { transcriptionMinutes: Math.round(minutes * 100) / 100 });
+  } catch (error) {
+    logger.warn(`Failed to record transcription usage for ${userId}: ${error.message}`);
+  }
+}
+
+// today's totals against the quotas, with the UTC midnight reset
+async function getUsageSummary(userId) {
+  const quotas = getQuotas();
+  const usage = await Usage.findOne({ user: userId, day: currentDay() }).lean();
+  const llmTokens = usage?.llmTokens || 0;
+  const transcriptionMinutes = usage?.transcriptionMinutes || 0;
+  return {
+    day: currentDay(),
+    resetsAt: nextReset(),
+    llm: {
+      usedTokens: llmTokens,
+      limitTokens: quotas.llmTokens,
+      remainingTokens: Math.max(0, quotas.llmTokens - llmTokens),
+      requests: usage?.llmRequests || 0
+    },
+    transcription: {
+      usedMinutes: transcriptionMinutes,
+      limitMinutes: quotas.transcriptionMinutes,
+      remainingMinutes: Math.max(0, Math.round((quotas.transcriptionMinutes - transcriptionMinutes) * 100) / 100)
+    }
+  };
+}
+
+module.exports = { recordLlmUsage, recordTranscriptionMinutes, getUsageSummary, nextReset };
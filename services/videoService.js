@@ -1,29 +1,72 @@
-const axios = require('axios');
+const MediaItem = require('../models/MediaItem');
+const VideoMetadata = require('../models/VideoMetadata');
+const { youtubeGet } = require('./youtubeApi');
+const { parseIsoDuration } = require('../utils/formatters');
+const { isMediaId } = require('../utils/mediaIds');
+const { NotFoundError } = require('../utils/errors');
 const { logger } = require('../config/logger');
 
+const METADATA_FIELDS = '-_id videoId title description thumbnail channelId channelTitle publishedAt duration tags captionLanguages';
+
+// caption tracks published on the video, as reported by the Data API captions endpoint
+async function listCaptionTracks(videoId) {
+  if (isMediaId(videoId)) return [];
+  const data = await youtubeGet('captions', { part: 'snippet', videoId });
+  return (data.items || []).map(({ snippet }) => ({
+    language: snippet.language,
+    name: snippet.name,
+    autoGenerated: snippet.trackKind === 'asr'
+  }));
+}
+
+async function fetchFromYoutube(videoId) {
+  const data = await youtubeGet('videos', { part: 'snippet,contentDetails', id: videoId });
+  const video = data.items?.[0];
+  if (!video) {
+    throw new NotFoundError('Video not found');
+  }
+  // caption languages are a nice-to-have; when the lookup fails they are left undefined so the caller
+  // can still answer with the rest of the metadata without caching the gap for 30 days
+  const captionTracks = await listCaptionTracks(videoId).catch(error => {
+    logger.warn(`Failed to list caption tracks for ${videoId}: ${error.message}`);
+    return null;
+  });
+  const { snippet, contentDetails } = video;
+  return {
+    videoId,
+    title: snippet.title,
+    description: snippet.description,
+    thumbnail: snippet.thumbnails?.medium?.url || snippet.thumbnails?.default?.url,
+    channelId: snippet.channelId,
+    channelTitle: snippet.channelTitle,
+    publishedAt: snippet.publishedAt ? new Date(snippet.publishedAt) : null,
+    duration: parseIsoDuration(contentDetails?.duration),
+    tags: snippet.tags || [],
+    captionLanguages: captionTracks ? [...new Set(captionTracks.map(track => track.language))] : undefined
+  };
+}
+
+// metadata is cached for 30 days, so queries and exports do not spend API quota on every request
 async function fetchVideoDetails(videoId) {
-  try {
-    const response = await axios.get('https://142.250.190.78/youtube/v3/videos', {
-      params: {
-        part: 'snippet',
-        id: videoId,
-        key: process.env.YOUTUBE_API_KEY
-      },
-      headers: { Host: 'www.googleapis.com' } 
-    });
-    if (response.data.items.length === 0) {
-      throw new Error('Video not found');
+  if (isMediaId(videoId)) {
+    const media = await MediaItem.findOne({ mediaId: videoId }).lean();
+    if (!media) {
+      throw new NotFoundError('Media not found');
     }
-    const videoDetails = response.data.items[0].snippet;
-    return {
-      title: videoDetails.title,
-      description: videoDetails.description,
-      thumbnail: videoDetails.thumbnails?.medium?.url
-    };
+    return { videoId, title: media.title, description: media.description, thumbnail: null };
+  }
+
+  const cached = await VideoMetadata.findOne({ videoId }).select(METADATA_FIELDS).lean();
+  if (cached) return cached;
+
+  const metadata = await fetchFromYoutube(videoId);
+  if (!metadata.captionLanguages) return metadata;
+  try {
+    await VideoMetadata.findOneAndUpdate({ videoId }, { ...metadata, createdAt: Date.now() }, { upsert: true });
   } catch (error) {
-    logger.error(`YouTube API error:`, error);
-    throw new Error('Failed to fetch video details');
+    logger.warn(`Failed to cache metadata for ${videoId}: ${error.message}`);
   }
+  return metadata;
 }
 
-module.exports = { fetchVideoDetails };
+module.exports = { fetchVideoDetails, listCaptionTracks };
@@ -0,0 +1,54 @@
+const axios = require('axios');
+const { logger } = require('../config/logger');
+const { NotFoundError, QuotaExceededError, UpstreamRateLimitError, UpstreamError } = require('../utils/errors');
+
+const DEFAULT_YOUTUBE_API_URL = 'https://www.googleapis.com/youtube/v3';
+
+// read per call so a local stub server can stand in for the Data API
+const getYoutubeApiUrl = () => (process.env.YOUTUBE_API_BASE_URL || DEFAULT_YOUTUBE_API_URL).replace(/\/+$/, '');
+
+// the Data API reports quota exhaustion as a 403 with reason quotaExceeded; it resets daily, so it is
+// surfaced as the service being unavailable rather than as the caller's own quota
+const toYoutubeError = (resource, error) => {
+  const status = error.response?.status;
+  const reason = error.response?.data?.error?.errors?.[0]?.reason;
+  if (status === 403 && ['quotaExceeded', 'dailyLimitExceeded'].includes(reason)) {
+    logger.error(`YouTube API quota exceeded on ${resource}`);
+    return new QuotaExceededError('YouTube API quota exceeded, please try again later', { status: 503, code: 'UPSTREAM_QUOTA_EXCEEDED' });
+  }
+  if (status === 429 || (status === 403 && reason === 'rateLimitExceeded')) {
+    return new UpstreamRateLimitError('YouTube API rate limit reached, please try again later',
+      parseInt(error.response.headers?.['retry-after']) || undefined);
+  }
+  if (status === 404) {
+    return new NotFoundError(`YouTube ${resource} not found`);
+  }
+  logger.error(`YouTube API error on ${resource}: ${error.message}`);
+  return new UpstreamError('YouTube API request failed', { cause: error });
+};
+
+// GET on a Data API resource with the server key; 429s are retried after the advertised delay
+async function youtubeGet(resource, params) {
+  const maxRetries = 3;
+  let attempts = 0;
+
+  while (true) {
+    try {
+      const response = await axios.get(`${getYoutubeApiUrl()}/${resource}`, {
+        params: { ...params, key: process.env.YOUTUBE_API_KEY }
+      });
+      return response.data;
+    } catch (error) {
+      attempts++;
+      if (error.response?.status === 429 && attempts < maxRetries) {
+        const retryAfter = parseInt(error.response.headers?.['retry-after']) || 5;
+        logger.warn(`YouTube API rate limit on ${resource}, retrying after ${retryAfter}s (attempt ${attempts})`);
+        await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+      } else {
+        throw toYoutubeError(resource, error);
+      }
+    }
+  }
+}
+
+module.exports = { youtubeGet, DEFAULT_YOUTUBE_API_URL };
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { alignWords, alignRefinedText } = require('../utils/alignment');
+
+test('alignWords maps refined words to the original words they line up with', () => {
+  assert.deepEqual(alignWords(['the', 'quick', 'brown', 'fox'], ['The', 'quick', 'brown', 'red', 'fox.']), [0, 1, 2, -1, 3]);
+  assert.deepEqual(alignWords([], ['new']), [-1]);
+});
+
+test('alignRefinedText keeps edited words in the segment they came from', () => {
+  const segments = [{ text: 'so um the quick brwn' }, { text: 'fox jumps uh over' }, { text: 'the lazy dog' }];
+  assert.deepEqual(alignRefinedText(segments, 'So the quick brown fox jumps over the lazy dog.'), [
+    'So the quick brown',
+    'fox jumps over',
+    'the lazy dog.'
+  ]);
+});
+
+test('alignRefinedText sends leading insertions to the first segment and keeps segments that get no words', () => {
+  const segments = [{ text: 'hello there' }, { text: 'um uh' }, { text: 'general kenobi' }];
+  assert.deepEqual(alignRefinedText(segments, 'Well, hello there general Kenobi'), [
+    'Well, hello there',
+    'um uh',
+    'general Kenobi'
+  ]);
+  assert.deepEqual(alignRefinedText(segments, ''), ['hello there', 'um uh', 'general kenobi']);
+});
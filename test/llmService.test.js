@@ -0,0 +1,127 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_MODELS = 'primary,fallback';
+process.env.LLM_MAX_RETRIES = '3';
+
+const { logger } = require('../config/logger');
+const { chat, chatJson, chatStream, setMockResponder, getModelChainKey } = require('../services/llmService');
+const { withRetry } = require('../utils/retry');
+const { UpstreamError, UpstreamRateLimitError } = require('../utils/errors');
+
+logger.silent = true;
+
+const messages = [{ role: 'user', content: 'What is this video about?' }];
+
+// provider-style error; retryAfter 0 keeps the backoff out of the tests
+const providerError = (status, message = `status ${status}`) =>
+  Object.assign(new Error(message), { status, retryAfter: 0 });
+
+// records every call as "model" and answers from the given list of responses or errors, in order
+const scriptedResponder = (...steps) => {
+  const calls = [];
+  setMockResponder(async ({ model }) => {
+    calls.push(model);
+    const step = steps[Math.min(calls.length, steps.length) - 1];
+    if (step instanceof Error) throw step;
+    return step;
+  });
+  return calls;
+};
+
+beforeEach(() => setMockResponder(null));
+
+test('withRetry retries transient errors and gives up after the configured attempts', async () => {
+  let attempts = 0;
+  const result = await withRetry(async () => {
+    attempts++;
+    if (attempts < 3) throw providerError(503);
+    return 'ok';
+  }, { baseDelayMs: 0 });
+  assert.equal(result, 'ok');
+  assert.equal(attempts, 3);
+
+  attempts = 0;
+  await assert.rejects(withRetry(async () => {
+    attempts++;
+    throw providerError(503);
+  }, { retries: 2, baseDelayMs: 0 }), { status: 503 });
+  assert.equal(attempts, 2);
+});
+
+test('withRetry does not retry errors that are not transient', async () => {
+  let attempts = 0;
+  await assert.rejects(withRetry(async () => {
+    attempts++;
+    throw providerError(400);
+  }, { baseDelayMs: 0 }), { status: 400 });
+  assert.equal(attempts, 1);
+});
+
+test('chat answers from the mock provider with the first model', async () => {
+  const { content, model, usage } = await chat({ messages });
+  assert.equal(model, 'primary');
+  assert.match(content, /^Mock response from primary: What is this video about\?/);
+  assert.ok(usage.totalTokens > 0);
+  assert.equal(getModelChainKey(), 'mock:primary,fallback');
+});
+
+test('chat retries a server error on the same model', async () => {
+  const calls = scriptedResponder(providerError(503), 'recovered');
+  const { content, model } = await chat({ messages });
+  assert.equal(content, 'recovered');
+  assert.equal(model, 'primary');
+  assert.deepEqual(calls, ['primary', 'primary']);
+});
+
+test('chat hands a rate-limited model over to the next one in the chain', async () => {
+  const calls = scriptedResponder(providerError(429), 'from fallback');
+  const { content, model } = await chat({ messages });
+  assert.equal(content, 'from fallback');
+  assert.equal(model, 'fallback');
+  assert.deepEqual(calls, ['primary', 'fallback']);
+});
+
+test('chat reports a rate limit on every model as an upstream rate limit', async () => {
+  const calls = scriptedResponder(providerError(429));
+  await assert.rejects(chat({ messages }), UpstreamRateLimitError);
+  // the last model has no fallback, so it is retried before giving up
+  assert.deepEqual(calls, ['primary', 'fallback', 'fallback', 'fallback']);
+});
+
+test('chat wraps provider failures in an upstream error without retrying client errors', async () => {
+  const calls = scriptedResponder(providerError(400, 'bad request'));
+  await assert.rejects(chat({ messages }), error => error instanceof UpstreamError && error.status === 502);
+  assert.deepEqual(calls, ['primary']);
+});
+
+test('a task can use its own model chain', async () => {
+  process.env.LLM_REFINE_MODELS = 'refiner';
+  try {
+    const { model } = await chat({ messages, task: 'refine' });
+    assert.equal(model, 'refiner');
+    assert.equal(getModelChainKey('refine'), 'mock:refiner');
+  } finally {
+    delete process.env.LLM_REFINE_MODELS;
+  }
+});
+
+test('chatJson asks again when the model returns malformed JSON', async () => {
+  const calls = scriptedResponder('not json', '{"answer":42}');
+  const { data } = await chatJson({ messages });
+  assert.deepEqual(data, { answer: 42 });
+  assert.equal(calls.length, 2);
+
+  scriptedResponder('still not json');
+  await assert.rejects(chatJson({ messages }), UpstreamError);
+});
+
+test('chatStream hands every token to onToken', async () => {
+  setMockResponder(async () => 'one two three');
+  const tokens = [];
+  const { content, model } = await chatStream({ messages, onToken: token => tokens.push(token) });
+  assert.equal(content, 'one two three');
+  assert.equal(model, 'primary');
+  assert.deepEqual(tokens, ['one ', 'two ', 'three']);
+});
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isPrivateAddress } = require('../utils/publicUrl');
+
+test('isPrivateAddress blocks loopback, private, link-local and reserved IPv4 ranges', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+});
+
+test('isPrivateAddress allows public addresses', () => {
+  for (const address of ['8.8.8.8', '172.32.0.1', '142.250.74.46', '2606:4700:4700::1111']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('isPrivateAddress blocks IPv6 loopback, unique-local and link-local addresses', () => {
+  for (const address of ['::1', '::', 'fd00::1', 'fe80::1', 'ff02::1', '64:ff9b::7f00:1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+});
+
+test('isPrivateAddress sees through IPv4-mapped IPv6 addresses', () => {
+  assert.equal(isPrivateAddress('::ffff:127.0.0.1'), true);
+  assert.equal(isPrivateAddress('::ffff:7f00:1'), true);
+  assert.equal(isPrivateAddress('::ffff:808:808'), false);
+});
+
+test('isPrivateAddress treats anything that is not an IP address as private', () => {
+  assert.equal(isPrivateAddress('example.com'), true);
+  assert.equal(isPrivateAddress(''), true);
+});
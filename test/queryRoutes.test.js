@@ -0,0 +1,97 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+Object.assign(process.env, {
+  MONGODB_URI: 'mongodb://localhost:27017/test',
+  YOUTUBE_API_KEY: 'test',
+  JWT_SECRET: 'test',
+  LLM_PROVIDER: 'mock',
+  LLM_MODELS: 'mock-model',
+  WHISPER_ENABLED: 'false'
+});
+
+const express = require('express');
+const { logger } = require('../config/logger');
+const RateLimit = require('../models/RateLimit');
+const transcriptService = require('../services/transcriptService');
+const videoService = require('../services/videoService');
+const retrievalService = require('../services/retrievalService');
+const responseCacheService = require('../services/responseCacheService');
+const { setMockResponder } = require('../services/llmService');
+
+logger.silent = true;
+
+// the route runs against the mock provider; everything that would touch Mongo or YouTube is replaced
+const transcript = [
+  { text: 'Binary search halves the range on every step.', offset: 0, duration: 4000 },
+  { text: 'It needs the input to be sorted.', offset: 4000, duration: 3000 }
+];
+RateLimit.collection.findOneAndUpdate = async () => ({ hits: 1, resetAt: new Date(Date.now() + 60000) });
+transcriptService.getTranscriptRecord = async () => ({ transcript, version: 'v1' });
+videoService.fetchVideoDetails = async (videoId) => ({ videoId, title: 'Binary search explained', description: '' });
+retrievalService.retrieveRelevantChunks = async () => [{ text: transcript[1].text, offset: 4000, duration: 3000 }];
+responseCacheService.withResponseCache = async (entry, compute) => ({ response: await compute(), source: 'computed' });
+
+const queryRoutes = require('../routes/queryRoutes');
+const { bindRequestContext } = require('../utils/requestContext');
+const { errorHandler, notFoundHandler } = require('../middleware/errorHandler');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(bindRequestContext);
+  app.use('/', queryRoutes);
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => setMockResponder(null));
+
+const postQuery = (body) =>
+  fetch(`${baseUrl}/answer_query`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+test('POST /answer_query answers from the transcript and resolves citations', async () => {
+  let prompt;
+  setMockResponder(async ({ messages }) => {
+    prompt = messages[messages.length - 1].content;
+    return 'The input has to be sorted [1].';
+  });
+
+  const res = await postQuery({ videoId: 'dQw4w9WgXcQ', query: 'What does binary search need?' });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.response, 'The input has to be sorted [1].');
+  assert.equal(body.transcriptAvailable, true);
+  assert.equal(body.cached, false);
+  assert.equal(body.citations.length, 1);
+  assert.equal(body.citations[0].ref, 1);
+  assert.match(prompt, /\[1\] \(0:04\) It needs the input to be sorted\./);
+  assert.match(prompt, /Query: What does binary search need\?/);
+});
+
+test('POST /answer_query rejects a request without a query', async () => {
+  const res = await postQuery({ videoId: 'dQw4w9WgXcQ' });
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.error.code, 'VALIDATION_FAILED');
+});
+
+test('POST /answer_query reports a model that returns nothing as an upstream error', async () => {
+  setMockResponder(async () => '');
+  const res = await postQuery({ videoId: 'dQw4w9WgXcQ', query: 'Anything?' });
+  assert.equal(res.status, 502);
+  const body = await res.json();
+  assert.equal(body.error.code, 'UPSTREAM_ERROR');
+});
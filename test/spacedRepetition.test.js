@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { scheduleReview } = require('../utils/spacedRepetition');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-01-01T00:00:00Z');
+
+test('a new card is due again after one day, then six, then interval times ease', () => {
+  const first = scheduleReview({}, 4, now);
+  assert.deepEqual(first, { ease: 2.5, interval: 1, repetitions: 1, dueAt: new Date(now.getTime() + DAY_MS) });
+
+  const second = scheduleReview(first, 4, now);
+  assert.equal(second.interval, 6);
+  assert.equal(second.repetitions, 2);
+
+  const third = scheduleReview(second, 5, now);
+  assert.equal(third.interval, 15);
+  assert.equal(third.ease, 2.6);
+  assert.deepEqual(third.dueAt, new Date(now.getTime() + 15 * DAY_MS));
+});
+
+test('a failed review restarts the card and lowers its ease', () => {
+  const result = scheduleReview({ ease: 2.5, interval: 15, repetitions: 3 }, 2, now);
+  assert.equal(result.repetitions, 0);
+  assert.equal(result.interval, 1);
+  assert.equal(result.ease, 2.18);
+});
+
+test('ease never drops below 1.3', () => {
+  assert.equal(scheduleReview({ ease: 1.3, interval: 1, repetitions: 1 }, 0, now).ease, 1.3);
+});
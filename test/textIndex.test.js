@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, stem, chunkTranscript, buildIndex, scoreChunks } = require('../utils/textIndex');
+
+test('tokenize lowercases, splits on punctuation and drops stopwords and single letters', () => {
+  assert.deepEqual(tokenize('What is the Big-O of QuickSort, x?'), ['big', 'quicksort']);
+  assert.deepEqual(tokenize('Café déjà vu 42'), ['café', 'déjà', 'vu', '42']);
+  assert.deepEqual(tokenize(undefined), []);
+});
+
+test('stem strips common suffixes but never empties a token', () => {
+  assert.equal(stem('sorting'), 'sort');
+  assert.equal(stem('sorted'), 'sort');
+  assert.equal(stem('queries'), 'quer');
+  assert.equal(stem('ing'), 'ing');
+});
+
+test('chunkTranscript groups segments up to maxChars and keeps their timing', () => {
+  const transcript = [
+    { text: 'first part', offset: 0, duration: 1000 },
+    { text: '  ', offset: 1000, duration: 500 },
+    { text: 'second part', offset: 1500, duration: 1000 },
+    { text: 'third part', offset: 2500, duration: 1500 }
+  ];
+  assert.deepEqual(chunkTranscript(transcript, 25), [
+    { text: 'first part second part', offset: 0, duration: 2500, segmentStart: 0, segmentEnd: 2 },
+    { text: 'third part', offset: 2500, duration: 1500, segmentStart: 3, segmentEnd: 3 }
+  ]);
+  assert.deepEqual(chunkTranscript([]), []);
+});
+
+test('scoreChunks ranks chunks by bm25 and drops chunks without a match', () => {
+  const index = buildIndex([
+    { text: 'merge sort splits the list' },
+    { text: 'binary search on a sorted list, binary search is fast' },
+    { text: 'hash tables use buckets' }
+  ]);
+  assert.equal(index.chunks[1].terms.binary, 2);
+  assert.equal(index.docFreqs.list, 2);
+
+  const results = scoreChunks(index, 'binary search list');
+  assert.deepEqual(results.map(result => result.index), [1, 0]);
+  assert.ok(results[0].score > results[1].score);
+  assert.deepEqual(scoreChunks(index, 'graphs'), []);
+});
+
+test('scoreChunks accepts term maps as stored in Mongo', () => {
+  const { chunks, docFreqs, avgLength } = buildIndex([{ text: 'alpha beta' }, { text: 'gamma' }]);
+  const stored = {
+    chunks: chunks.map(chunk => ({ ...chunk, terms: new Map(Object.entries(chunk.terms)) })),
+    docFreqs: new Map(Object.entries(docFreqs)),
+    avgLength
+  };
+  assert.deepEqual(scoreChunks(stored, 'gamma').map(result => result.index), [1]);
+});
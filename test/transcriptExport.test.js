@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatTimecode, wrapText, toSrt, toVtt, toTxt, toJson } = require('../utils/transcriptExport');
+
+const transcript = [
+  { text: 'Tom &amp;amp; Jerry', offset: 0, duration: 2500 },
+  { text: '   ', offset: 2500, duration: 500 },
+  // overlaps the next cue, as auto-generated captions do
+  { text: 'a <b> --> c', offset: 3000, duration: 4000 },
+  { text: 'the end', offset: 5000, duration: 1000 }
+];
+
+test('formatTimecode renders hours, minutes, seconds and milliseconds', () => {
+  assert.equal(formatTimecode(3723004, ','), '01:02:03,004');
+  assert.equal(formatTimecode(-5, '.'), '00:00:00.000');
+});
+
+test('wrapText breaks lines at the limit and keeps long words whole', () => {
+  assert.equal(wrapText('one two three four', 9), 'one two\nthree\nfour');
+  assert.equal(wrapText('supercalifragilistic word', 5), 'supercalifragilistic\nword');
+});
+
+test('toSrt decodes entities, skips empty segments and ends overlapping cues at the next start', () => {
+  assert.equal(toSrt(transcript), [
+    '1\n00:00:00,000 --> 00:00:02,500\nTom & Jerry\n',
+    '2\n00:00:03,000 --> 00:00:05,000\na <b> --> c\n',
+    '3\n00:00:05,000 --> 00:00:06,000\nthe end\n'
+  ].join('\n'));
+});
+
+test('toVtt escapes cue text markup', () => {
+  const vtt = toVtt(transcript);
+  assert.ok(vtt.startsWith('WEBVTT\n\n00:00:00.000 --> 00:00:02.500\nTom &amp; Jerry\n'));
+  assert.ok(vtt.includes('00:00:03.000 --> 00:00:05.000\na &lt;b&gt; -&gt; c\n'));
+});
+
+test('toTxt and toJson use the cleaned cues', () => {
+  assert.equal(toTxt(transcript), '[0:00] Tom & Jerry\n[0:03] a <b> --> c\n[0:05] the end\n');
+  assert.deepEqual(JSON.parse(toJson(transcript, 'abc')), {
+    videoId: 'abc',
+    segments: [
+      { text: 'Tom & Jerry', offset: 0, duration: 2500 },
+      { text: 'a <b> --> c', offset: 3000, duration: 2000 },
+      { text: 'the end', offset: 5000, duration: 1000 }
+    ]
+  });
+});
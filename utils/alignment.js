@@ -0,0 +1,72 @@
+// word-level alignment between original transcript segments and a rewritten version of their text,
+// so edited words land back in the segment (and therefore the timestamp) they came from
+
+const normalizeWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+const splitWords = (text) => (text || '').split(/\s+/).filter(Boolean);
+
+// levenshtein over words; returns, for every refined word, the index of the original word it lines up with
+// (or -1 for inserted words)
+const alignWords = (originalWords, refinedWords) => {
+  const n = originalWords.length;
+  const m = refinedWords.length;
+  const width = m + 1;
+  const cost = new Uint32Array((n + 1) * width);
+  const a = originalWords.map(normalizeWord);
+  const b = refinedWords.map(normalizeWord);
+
+  for (let i = 0; i <= n; i++) cost[i * width] = i;
+  for (let j = 0; j <= m; j++) cost[j] = j;
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const substitution = cost[(i - 1) * width + j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      const deletion = cost[(i - 1) * width + j] + 1;
+      const insertion = cost[i * width + j - 1] + 1;
+      cost[i * width + j] = Math.min(substitution, deletion, insertion);
+    }
+  }
+
+  const mapping = new Array(m).fill(-1);
+  let i = n;
+  let j = m;
+  while (i > 0 && j > 0) {
+    const current = cost[i * width + j];
+    if (current === cost[(i - 1) * width + j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)) {
+      mapping[j - 1] = i - 1;
+      i--;
+      j--;
+    } else if (current === cost[(i - 1) * width + j] + 1) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+  return mapping;
+};
+
+// redistributes refinedText over the segments; a segment that receives no words keeps its original text
+const alignRefinedText = (segments, refinedText) => {
+  const originalWords = [];
+  const wordSegment = [];
+  segments.forEach((segment, index) => {
+    for (const word of splitWords(segment.text)) {
+      originalWords.push(word);
+      wordSegment.push(index);
+    }
+  });
+  const refinedWords = splitWords(refinedText);
+  if (!originalWords.length || !refinedWords.length) return segments.map(segment => segment.text);
+
+  const mapping = alignWords(originalWords, refinedWords);
+  const buckets = segments.map(() => []);
+  // inserted words follow the previous aligned word, or the first segment at the very start
+  let currentSegment = 0;
+  refinedWords.forEach((word, j) => {
+    if (mapping[j] !== -1) currentSegment = wordSegment[mapping[j]];
+    buckets[currentSegment].push(word);
+  });
+
+  return buckets.map((words, index) => (words.length ? words.join(' ') : segments[index].text));
+};
+
+module.exports = { alignWords, alignRefinedText };
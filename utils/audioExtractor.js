@@ -1,19 +1,27 @@
-const { exec } = require('child_process');
+const { exec, execFile } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
+const execFilePromise = util.promisify(execFile);
 const path = require('path');
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
 const ffmpeg = require('fluent-ffmpeg');
+const { assertPublicUrl, publicLookup } = require('./publicUrl');
 const {logger} = require('../config/logger');
 
-async function checkDependencies() {
+const MAX_REDIRECTS = 5;
+
+// local files only need ffmpeg, downloads need yt-dlp as well
+async function checkDependencies({ download = true } = {}) {
   try {
-    await execPromise('yt-dlp --version');
+    if (download) await execPromise('yt-dlp --version');
     await execPromise('ffmpeg -version');
-    logger.info('Dependencies checked: yt-dlp and ffmpeg are available');
+    logger.info(`Dependencies checked: ${download ? 'yt-dlp and ' : ''}ffmpeg available`);
   } catch (error) {
     logger.error('Dependency check failed:', error);
-    throw new Error('Required dependencies (yt-dlp or ffmpeg) are missing');
+    throw new Error(`Required dependencies (${download ? 'yt-dlp or ' : ''}ffmpeg) are missing`);
   }
 }
 
@@ -22,6 +30,7 @@ async function segmentAudio(inputFile, outputTemplate, segmentTime = 60) {
     const chunks = [];
     ffmpeg(inputFile)
       .outputOptions([
+        '-vn',
         '-f segment',
         `-segment_time ${segmentTime}`,
         '-c:a pcm_s16le',
@@ -54,65 +63,120 @@ async function segmentAudio(inputFile, outputTemplate, segmentTime = 60) {
   });
 }
 
-async function extractAudio(videoUrl) {
-  await checkDependencies();
-  const outputDir = path.join(__dirname, '..', 'temp');
-  const videoId = videoUrl.match(/v=([^&]+)/)?.[1];
-  if (!videoId) {
-    logger.error('Invalid video URL:', videoUrl);
-    throw new Error('Invalid video URL');
+// GET with every redirect checked before it is followed and every connection made through publicLookup;
+// resolves to { response, url } with the url that finally answered
+async function getPublicStream(url, headers) {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await assertPublicUrl(current);
+    const response = await axios.get(current, {
+      headers,
+      responseType: 'stream',
+      maxRedirects: 0,
+      lookup: publicLookup,
+      validateStatus: status => status < 400
+    });
+    if (response.status < 300) return { response, url: current };
+    response.data.destroy();
+    if (!response.headers.location) throw new Error(`Redirect from ${current} has no location`);
+    current = new URL(response.headers.location, current).toString();
+  }
+  throw new Error(`Too many redirects for ${url}`);
+}
+
+// yt-dlp only extracts the media url of an external page and never downloads itself, since it would follow
+// redirects to hosts nobody checked; the page url is resolved by hand first for the same reason
+async function downloadExternalAudio(url, outputFile) {
+  const page = await getPublicStream(url);
+  page.response.data.destroy();
+
+  const { stdout } = await execFilePromise(
+    'yt-dlp',
+    ['--dump-json', '--no-playlist', '--no-warnings', '-f', 'bestaudio/best', page.url],
+    { maxBuffer: 50 * 1024 * 1024 }
+  );
+  const info = JSON.parse(stdout);
+  // streaming manifests would have ffmpeg fetch segment urls from unchecked hosts
+  if (!info.url || !['http', 'https'].includes(info.protocol)) {
+    throw new Error(`Unsupported stream type ${info.protocol || 'unknown'} for ${url}`);
   }
-  const tempFile = path.join(outputDir, `audio_${videoId}.mp3`).replace(/\\/g, '/');
-  const outputTemplate = path.join(outputDir, `audio_${videoId}_%03d.wav`).replace(/\\/g, '/');
+  const media = await getPublicStream(info.url, info.http_headers);
+  await pipeline(media.response.data, createWriteStream(outputFile));
+}
+
+// source is { key, url } for YouTube, { key, url, external: true } for linked media on any site yt-dlp can
+// extract, or { key, file } for a recording already on disk; key names the chunks, audio_<key>_000.wav and so on
+async function extractAudio({ key, url, file, external = false }) {
+  if (!key || (!url && !file)) {
+    logger.error(`Invalid audio source for ${key}`);
+    throw new Error('Invalid audio source');
+  }
+  await checkDependencies({ download: !file });
+  const outputDir = path.join(__dirname, '..', 'temp');
+  const tempFile = path.join(outputDir, `audio_${key}.mp3`).replace(/\\/g, '/');
+  const outputTemplate = path.join(outputDir, `audio_${key}_%03d.wav`).replace(/\\/g, '/');
 
   try {
     await fs.mkdir(outputDir, { recursive: true });
 
-    // clean up existing files for this videoId
+    // clean up existing files for this key
     const existingFiles = await fs.readdir(outputDir).catch(() => []);
-    for (const file of existingFiles) {
-      if (file.includes(videoId) && (file.endsWith('.wav') || file.endsWith('.mp3'))) {
+    for (const existing of existingFiles) {
+      if (existing.includes(key) && (existing.endsWith('.wav') || existing.endsWith('.mp3'))) {
         try {
-          await fs.unlink(path.join(outputDir, file));
-          logger.info(`Deleted old file: ${file}`);
+          await fs.unlink(path.join(outputDir, existing));
+          logger.info(`Deleted old file: ${existing}`);
         } catch (err) {
-          logger.warn(`Failed to delete old file ${file}:`, err.message);
+          logger.warn(`Failed to delete old file ${existing}:`, err.message);
         }
       }
     }
 
-    logger.info(`Extracting audio for ${videoUrl}`);
-    // download audio as mp3
-    const command = `yt-dlp -x --audio-format mp3 -o "${tempFile}" "${videoUrl}"`;
-    const { stdout, stderr } = await execPromise(command);
-    logger.info(`yt-dlp output for ${videoId}: ${stdout}`);
-    if (stderr) logger.warn(`yt-dlp warnings for ${videoId}: ${stderr}`);
+    let input = file;
+    if (external) {
+      logger.info(`Downloading external media for ${key}`);
+      await downloadExternalAudio(url, tempFile);
+      input = tempFile;
+    } else if (!file) {
+      logger.info(`Extracting audio for ${url}`);
+      // download audio as mp3; arguments are passed without a shell since urls come from users
+      const { stdout, stderr } = await execFilePromise(
+        'yt-dlp',
+        ['-x', '--audio-format', 'mp3', '--no-playlist', '-o', tempFile, url],
+        { maxBuffer: 10 * 1024 * 1024 }
+      );
+      logger.info(`yt-dlp output for ${key}: ${stdout}`);
+      if (stderr) logger.warn(`yt-dlp warnings for ${key}: ${stderr}`);
 
-    // verify temp file exists
-    await fs.access(tempFile);
+      // verify temp file exists
+      await fs.access(tempFile);
+      input = tempFile;
+    }
 
-    // segment audio using fluent-ffmpeg
-    const audioChunks = await segmentAudio(tempFile, outputTemplate, 60);
+    // segment audio using fluent-ffmpeg, video streams are dropped
+    const audioChunks = await segmentAudio(input, outputTemplate, 60);
     if (audioChunks.length === 0) {
-      logger.error(`No audio chunks created for ${videoId}`);
+      logger.error(`No audio chunks created for ${key}`);
       throw new Error('No audio chunks created');
     }
     if (audioChunks.length === 1) {
-      logger.warn(`Only one audio chunk created for ${videoId}. Video may be short or segmentation failed.`);
+      logger.warn(`Only one audio chunk created for ${key}. Recording may be short or segmentation failed.`);
     }
-    logger.info(`Extracted ${audioChunks.length} audio chunks for ${videoId}: ${audioChunks.join(', ')}`);
+    logger.info(`Extracted ${audioChunks.length} audio chunks for ${key}: ${audioChunks.join(', ')}`);
     return audioChunks;
   } catch (error) {
-    logger.error(`Audio extraction failed for ${videoId}:`, error);
+    logger.error(`Audio extraction failed for ${key}:`, error);
     throw new Error(`Failed to extract audio: ${error.message}`);
   } finally {
-    // clean up temp chunk file
-    try {
-      await fs.unlink(tempFile);
-      logger.info(`Deleted temp file: ${tempFile}`);
-    } catch (err) {
-      if (err.code !== 'ENOENT') {
-        logger.warn(`Failed to delete temp file ${tempFile}:`, err.message);
+    // clean up the downloaded file, uploads belong to their media item
+    if (!file) {
+      try {
+        await fs.unlink(tempFile);
+        logger.info(`Deleted temp file: ${tempFile}`);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          logger.warn(`Failed to delete temp file ${tempFile}:`, err.message);
+        }
       }
     }
   }
@@ -144,4 +208,22 @@ async function cleanupAudio(audioFiles) {
   }
 }
 
-module.exports = { extractAudio, cleanupAudio };
+// length of an audio file in seconds, read from the container by ffprobe
+async function getAudioDuration(file) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(file, (err, metadata) => {
+      if (err) {
+        reject(new Error(`FFprobe failed for ${file}: ${err.message}`));
+        return;
+      }
+      const duration = Number(metadata.format?.duration);
+      if (!Number.isFinite(duration)) {
+        reject(new Error(`No duration reported for ${file}`));
+        return;
+      }
+      resolve(duration);
+    });
+  });
+}
+
+module.exports = { extractAudio, cleanupAudio, getAudioDuration };
@@ -8,6 +8,9 @@ async function preprocessAudio(inputPath, outputPath) {
     ffmpeg(inputPath)
       .audioFilters('volume=1.0,highpass=f=200,lowpass=f=3000')
       .audioCodec('pcm_s16le')
+      // whisper models work on 16 kHz mono; whisper.cpp requires it
+      .audioFrequency(16000)
+      .audioChannels(1)
       .format('wav')
       .on('start', (commandLine) => {
         logger.info(`FFmpeg command: ${commandLine}`);
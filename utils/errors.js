@@ -0,0 +1,105 @@
+// typed errors carry the HTTP status and a stable code for the { error: { code, message } } envelope.
+// services throw them, the error handler in middleware/errorHandler.js turns them into responses
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details, retryAfter, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    // seconds, sent as Retry-After
+    this.retryAfter = retryAfter;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message = 'Invalid request', details) {
+    super(message, { status: 400, code: 'VALIDATION_FAILED', details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', code = 'UNAUTHORIZED') {
+    super(message, { status: 401, code });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found') {
+    super(message, { status: 404, code: 'NOT_FOUND' });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message) {
+    super(message, { status: 409, code: 'CONFLICT' });
+  }
+}
+
+class PayloadTooLargeError extends AppError {
+  constructor(message) {
+    super(message, { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+  }
+}
+
+// this API's own request limits
+class RateLimitError extends AppError {
+  constructor(message = 'Too many requests, please try again later.', retryAfter) {
+    super(message, { status: 429, code: 'RATE_LIMITED', retryAfter });
+  }
+}
+
+// daily per-user quotas and the YouTube API quota
+class QuotaExceededError extends AppError {
+  constructor(message, { retryAfter, details, status = 429, code = 'QUOTA_EXCEEDED' } = {}) {
+    super(message, { status, code, details, retryAfter });
+  }
+}
+
+// an LLM, speech-to-text or YouTube API that is throttling us
+class UpstreamRateLimitError extends AppError {
+  constructor(message, retryAfter) {
+    super(message, { status: 429, code: 'UPSTREAM_RATE_LIMITED', retryAfter });
+  }
+}
+
+class UpstreamError extends AppError {
+  constructor(message, { cause } = {}) {
+    super(message, { status: 502, code: 'UPSTREAM_ERROR', cause });
+  }
+}
+
+class ServiceUnavailableError extends AppError {
+  constructor(message) {
+    super(message, { status: 503, code: 'SERVICE_UNAVAILABLE' });
+  }
+}
+
+// codes for plain errors that only set a status
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  502: 'UPSTREAM_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  RateLimitError,
+  QuotaExceededError,
+  UpstreamRateLimitError,
+  UpstreamError,
+  ServiceUnavailableError,
+  STATUS_CODES
+};
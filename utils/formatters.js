@@ -1,26 +1,37 @@
+const { isMediaId } = require('./mediaIds');
+
 const formatTime = (seconds) => {
     const minutes = Math.floor(seconds / 60);
     const remainingSeconds = Math.floor(seconds % 60);
     return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
   };
   
+  // segment offsets are stored in milliseconds
   const formatTranscript = (transcript) => {
     return transcript.map(item => 
-      `${formatTime(item.start)} ${item.text},`
+      `${formatTime(item.offset / 1000)} ${item.text},`
     ).join('');
   };
   
-  const summarizeTranscript = (transcript) => {
-    if (!transcript) return null;
-    const words = transcript.split(' ');
-    if (words.length > 5000) {
-      const chunks = [];
-      for (let i = 100; i < transcript.length; i += 1000) {
-        chunks.push(transcript.substring(i, i + 1000));
-      }
-      return chunks.slice(0, 5).join(' ');
-    }
-    return transcript;
+  // ISO 8601 durations from the YouTube API, e.g. PT1H2M3S, to seconds
+  const parseIsoDuration = (duration) => {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(duration || '');
+    if (!match) return 0;
+    const [, days, hours, minutes, seconds] = match.map(value => Number(value) || 0);
+    return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
   };
   
-  module.exports = { formatTime, formatTranscript, summarizeTranscript }; 
\ No newline at end of file
+  // media items are not on YouTube and have no public page to link to
+  const youtubeLink = (videoId, seconds) =>
+    isMediaId(videoId) ? null : `https://youtu.be/${videoId}?t=${Math.floor(seconds)}`;
+  
+  // offsets and durations are stored in milliseconds
+  const buildCitation = (videoId, segment) => ({
+    offset: segment.offset,
+    duration: segment.duration,
+    timestamp: formatTime(segment.offset / 1000),
+    url: youtubeLink(videoId, segment.offset / 1000),
+    text: segment.text
+  });
+  
+  module.exports = { formatTime, formatTranscript, parseIsoDuration, youtubeLink, buildCitation }; 
\ No newline at end of file
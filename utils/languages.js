@@ -0,0 +1,45 @@
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+let namesToCodes = null;
+
+// english language name -> ISO 639-1 code, built once from every two-letter code Intl knows
+const getNamesToCodes = () => {
+  if (namesToCodes) return namesToCodes;
+  namesToCodes = new Map();
+  const letters = 'abcdefghijklmnopqrstuvwxyz';
+  for (const first of letters) {
+    for (const second of letters) {
+      const code = first + second;
+      const name = displayNames.of(code);
+      if (name && name !== code) namesToCodes.set(name.toLowerCase(), code);
+    }
+  }
+  return namesToCodes;
+};
+
+const isLanguageCode = (value) => /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(value || '');
+
+// accepts codes like "en" or "pt-br" and names like "English" (Whisper reports names); returns a
+// canonical code such as "pt-BR", which is also how YouTube labels its caption tracks, or null
+const normalizeLanguage = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (isLanguageCode(trimmed)) {
+    try {
+      return Intl.getCanonicalLocales(trimmed)[0];
+    } catch (error) {
+      return null;
+    }
+  }
+  return getNamesToCodes().get(trimmed.toLowerCase()) || null;
+};
+
+const languageName = (code) => {
+  try {
+    return displayNames.of(code) || code;
+  } catch (error) {
+    return code;
+  }
+};
+
+module.exports = { normalizeLanguage, languageName, isLanguageCode };
@@ -0,0 +1,33 @@
+const MarkdownIt = require('markdown-it');
+const sanitize = require('sanitize-html');
+
+// raw html in notes is escaped by markdown-it, the allowlist below is a second line of defence
+const md = new MarkdownIt({ html: false, linkify: true, breaks: true });
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'em', 's', 'del', 'code', 'pre',
+    'blockquote', 'ul', 'ol', 'li', 'a', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    ol: ['start'],
+    th: ['style'],
+    td: ['style']
+  },
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] }
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: {
+    a: sanitize.simpleTransform('a', { rel: 'noopener noreferrer nofollow', target: '_blank' })
+  }
+};
+
+const renderMarkdown = (source) => sanitize(md.render(source || ''), SANITIZE_OPTIONS);
+
+// notes saved before contentHtml was stored are rendered on read, so their raw content is never served as html
+const withContentHtml = (note) => (note.contentHtml ? note : { ...note, contentHtml: renderMarkdown(note.content) });
+
+module.exports = { renderMarkdown, withContentHtml };
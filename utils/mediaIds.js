@@ -0,0 +1,10 @@
+const crypto = require('crypto');
+
+// uploaded and linked media share the videoId key space with YouTube ids, told apart by the prefix
+const MEDIA_ID_PREFIX = 'media_';
+
+const createMediaId = () => `${MEDIA_ID_PREFIX}${crypto.randomUUID()}`;
+
+const isMediaId = (id) => typeof id === 'string' && /^media_[0-9a-f-]{36}$/.test(id);
+
+module.exports = { MEDIA_ID_PREFIX, createMediaId, isMediaId };
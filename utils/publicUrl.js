@@ -0,0 +1,71 @@
+const dns = require('dns');
+const net = require('net');
+const { ValidationError } = require('./errors');
+
+// loopback, private, link-local, carrier-grade nat, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+// ::ffff:127.0.0.1, which URL normalises to ::ffff:7f00:1, reaches the IPv4 host
+const unmapIPv4 = (address) => {
+  const dotted = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (dotted) return dotted[1];
+  const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (!hex) return address;
+  const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+};
+
+const isPrivateAddress = (value) => {
+  const address = unmapIPv4(value);
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  return !family || blockedAddresses.check(address, family);
+};
+
+// dns.lookup that refuses private addresses; given to http clients so the address that is checked is the one
+// connected to, even when the name resolves differently by the time of the request
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new ValidationError('URL must point to a public host'));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// http(s) urls whose host resolves only to public addresses; returns the normalised url
+async function assertPublicUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new ValidationError('Invalid URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new ValidationError('Only http and https URLs are supported');
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) {
+    throw new ValidationError('URL must point to a public host');
+  }
+  await new Promise((resolve, reject) => {
+    publicLookup(host, {}, error => {
+      if (error instanceof ValidationError) return reject(error);
+      if (error) return reject(new ValidationError('URL host could not be resolved'));
+      resolve();
+    });
+  });
+  return url.toString();
+}
+
+module.exports = { assertPublicUrl, publicLookup, isPrivateAddress };
@@ -1,120 +1,179 @@
-const { ChatGroq } = require('@langchain/groq');
-const { HumanMessage } = require('@langchain/core/messages');
-const { fetchTranscript } = require('../services/transcriptService');
+const Transcript = require('../models/Transcript');
+const { getTranscriptRecord } = require('../services/transcriptService');
 const { fetchVideoDetails } = require('../services/videoService');
-const { formatTranscript, summarizeTranscript } = require('./formatters');
+const { retrieveRelevantChunks, isBroadQuery } = require('../services/retrievalService');
+const { findCachedSummary } = require('../services/summaryService');
+const { chat, chatStream, getModelChainKey } = require('../services/llmService');
+const { withResponseCache } = require('../services/responseCacheService');
+const { formatTime, buildCitation } = require('./formatters');
+const { normalizeLanguage, languageName } = require('./languages');
+const { ValidationError, UpstreamError } = require('./errors');
+const { logger } = require('../config/logger');
+
+// rough character budget for prior turns so long conversations still fit the context window
+const MAX_HISTORY_CHARS = 8000;
+
+// maps the [n] references in the answer back to the transcript chunks they point at
+const extractCitations = (content, chunks, videoId) => {
+  const cited = new Set();
+  for (const match of content.matchAll(/\[(\d+)\]/g)) {
+    const index = Number(match[1]) - 1;
+    if (chunks[index]) cited.add(index);
+  }
+  return [...cited]
+    .sort((a, b) => a - b)
+    .map(index => ({ ref: index + 1, ...buildCitation(videoId, chunks[index]) }));
+};
+
+// keeps the most recent turns that fit the budget, oldest turns are dropped first
+const trimHistory = (history = []) => {
+  const kept = [];
+  let size = 0;
+  for (let i = history.length - 1; i >= 0; i--) {
+    size += history[i].content.length;
+    if (size > MAX_HISTORY_CHARS) break;
+    kept.unshift(history[i]);
+  }
+  return kept;
+};
 
-const answerQuery = async (query, video_id) => {
+const buildPrompt = async (query, video_id, history = [], language, transcription) => {
   if (!query || !video_id) {
-    const error = new Error("Query and video_id are required");
-    error.status = 400;
-    throw error;
+    throw new ValidationError("Query and video_id are required");
+  }
+  const answerLanguage = normalizeLanguage(language);
+  if (language && !answerLanguage) {
+    throw new ValidationError(`Unknown language: ${language}`);
   }
 
-  console.log(`Processing query: "${query}" for video_id: ${video_id}`);
+  // fetch transcript and video details
+  const record = await getTranscriptRecord(video_id, null, transcription);
+  const transcript = record?.transcript;
+  const videoDetails = await fetchVideoDetails(video_id);
+  const title = videoDetails?.title || `Video ID: ${video_id}`;
+  const description = videoDetails?.description || '';
+
+  // handle transcript availability
+  let transcriptContext = null;
+  let videoSummary = null;
+  let chunks = [];
+  const transcriptAvailable = !!transcript?.length;
+
+  if (transcriptAvailable) {
+    // only the excerpts relevant to the query go into the prompt, numbered so the model can cite them
+    // follow-ups like "explain that more" need the previous question to find the right excerpts
+    const previousQuestion = [...history].reverse().find(turn => turn.role === 'user')?.content || '';
+    chunks = await retrieveRelevantChunks(video_id, transcript, `${previousQuestion} ${query}`.trim());
+    transcriptContext = chunks
+      .map((chunk, i) => `[${i + 1}] (${formatTime(chunk.offset / 1000)}) ${chunk.text}`)
+      .join('\n---\n');
+    logger.info(`Retrieved ${chunks.length} transcript chunks for query`);
+
+    // excerpts alone only cover a sample of a long video, the whole-video summary covers the rest.
+    // only an already stored summary is used: generating one is a map-reduce over the whole transcript
+    if (isBroadQuery(query)) {
+      videoSummary = await findCachedSummary(record, 'detailed')
+        .then(summary => summary?.content || null)
+        .catch(error => {
+          logger.warn(`Summary unavailable for ${video_id}: ${error.message}`);
+          return null;
+        });
+    }
+  }
 
-  try {
-    // fetch transcript and video details
-    const transcript = await fetchTranscript(video_id);
-    const videoDetails = await fetchVideoDetails(video_id);
-    const title = videoDetails?.title || `Video ID: ${video_id}`;
-    const description = videoDetails?.description || '';
+  logger.info(`Transcript available: ${transcriptAvailable}`);
+
+  // prompt based on transcript availability
+  const systemMessageContent = transcriptAvailable
+    ? "You are a helpful assistant that answers user queries based on the given input query " +
+      "if video length is long then always provide maximum words response answer. " +
+      "For queries requesting key points or important points, provide answer in the form of points which will be important " +
+      "For queries requesting a summary, provide a detailed overview " +
+      "of the video's content, including key points, main topics, and examples, in 3-5 paragraphs. " +
+      "For other queries, provide a precise, detailed, and concise response using the transcript as the " +
+      "primary source. The transcript is given as excerpts selected for relevance to the query, separated by '---'. " +
+      "Each excerpt starts with a reference number like [1]; cite the excerpts that support each statement using those numbers. " +
+      "When a summary of the whole video is given, use it so the answer covers the entire video, not just the excerpts."
+    : "You are a helpful assistant that answers user queries based on the given input query. " +
+      "Since the transcript is unavailable, use the video title and description to provide a detailed and relevant answer. " +
+      "For queries requesting key points or important points, provide a list of inferred points based on the title and description. " +
+      "For queries requesting a summary, provide a concise overview inferred from the title and description in 2-3 paragraphs. " +
+      "For other queries, provide a precise and detailed response inferred from the title and description.";
+
+  // the transcript may be in another language, so the answer language has to be asked for explicitly
+  const languageInstruction = answerLanguage
+    ? ` Always respond in ${languageName(answerLanguage)}, whatever language the transcript or query is in.`
+    : '';
+
+  const systemMessage = { role: 'system', content: systemMessageContent + languageInstruction };
+
+  const humanMessageContent = transcriptAvailable
+    ? `Title: ${title}\n${videoSummary ? `Summary of the whole video:\n${videoSummary}\n` : ''}` +
+      `Transcript excerpts:\n${transcriptContext || 'Not available'}\nQuery: ${query}`
+    : `Title: ${title}\nDescription: ${description}\nQuery: ${query}`;
+
+  const humanMessage = { role: 'user', content: humanMessageContent };
+
+  const historyMessages = trimHistory(history).map(({ role, content }) => ({ role, content }));
+
+  return { messages: [systemMessage, ...historyMessages, humanMessage], chunks, transcriptAvailable };
+};
 
-    // handle transcript availability
-    let formattedTranscript = null;
-    let summarizedTranscript = null;
-    const transcriptAvailable = !!transcript;
+const finishAnswer = (content, { chunks, transcriptAvailable }, video_id, model) => {
+  logger.debug(`Response content: ${content}`);
 
-    if (transcriptAvailable) {
-      formattedTranscript = formatTranscript(transcript);
-      summarizedTranscript = summarizeTranscript(formattedTranscript.slice(0, 2000));
-    }
+  if (!content) {
+    throw new UpstreamError("No content returned from AI model");
+  }
 
-    console.log(`Transcript available: ${transcriptAvailable}`);
-
-    // prompt based on transcript availability
-    const systemMessageContent = transcriptAvailable
-      ? "You are a helpful assistant that answers user queries based on the given input query " +
-        "if video length is long then always provide maximum words response answer. " +
-        "For queries requesting key points or important points, provide answer in the form of points which will be important " +
-        "For queries requesting a summary, provide a detailed overview " +
-        "of the video's content, including key points, main topics, and examples, in 3-5 paragraphs. " +
-        "For other queries, provide a precise, detailed, and concise response using the transcript as the " +
-        "primary source."
-      : "You are a helpful assistant that answers user queries based on the given input query. " +
-        "Since the transcript is unavailable, use the video title and description to provide a detailed and relevant answer. " +
-        "For queries requesting key points or important points, provide a list of inferred points based on the title and description. " +
-        "For queries requesting a summary, provide a concise overview inferred from the title and description in 2-3 paragraphs. " +
-        "For other queries, provide a precise and detailed response inferred from the title and description.";
-
-    const systemMessage = new HumanMessage(systemMessageContent);
-
-    const humanMessageContent = transcriptAvailable
-      ? `Title: ${title}\nTranscript: ${summarizedTranscript || 'Not available'}\nQuery: ${query}`
-      : `Title: ${title}\nDescription: ${description}\nQuery: ${query}`;
-
-    const humanMessage = new HumanMessage(humanMessageContent);
-
-    // initialize primary model
-    const llm = new ChatGroq({
-      apiKey: process.env.GROQ_API_KEY,
-      model: "llama-3.3-70b-versatile",
-      temperature: 0.7,
-      maxTokens: 1000,
-    });
-
-    // try primary model
-    let response;
-    try {
-      response = await llm.invoke([systemMessage, humanMessage]);
-    } catch (error) {
-      if (error.status === 429 || error.message.includes('rate limit')) {
-        console.log('Rate limit hit for llama-3.3-70b-versatile, trying mixtral-8x7b-32768');
-        const fallbackLlm = new ChatGroq({
-          apiKey: process.env.GROQ_API_KEY,
-          model: "mixtral-8x7b-32768",
-          temperature: 0.7,
-          maxTokens: 1000,
-        });
-        try {
-          response = await fallbackLlm.invoke([systemMessage, humanMessage]);
-        } catch (fallbackError) {
-          if (fallbackError.status === 429 || fallbackError.message.includes('rate limit')) {
-            const retryAfter = fallbackError.headers?.["retry-after"] || "3600";
-            const error = new Error(
-              `Rate limit reached for all models. Please try again in ${Math.ceil(retryAfter / 60)} minutes.`
-            );
-            error.status = 429;
-            error.retryAfter = retryAfter;
-            throw error;
-          }
-          throw fallbackError;
-        }
-      } else {
-        throw error;
-      }
-    }
+  return {
+    content,
+    transcriptAvailable,
+    model,
+    citations: extractCitations(content, chunks, video_id),
+  };
+};
 
-    const content = response.content || "";
-    console.log(`Response content: ${content}`);
+// answers without conversation history are cached per query, transcript version, language and model chain,
+// and identical concurrent requests share one upstream call; noCache skips the stored answer
+const runCached = async (query, video_id, { history, language, noCache, signal, transcription }, compute) => {
+  if (!query || !video_id || history?.length) {
+    return { response: await compute(), source: 'computed' };
+  }
+  const record = await getTranscriptRecord(video_id, null, transcription);
+  const transcriptVersion = record ? record.version || Transcript.computeVersion(record.transcript) : null;
+  return withResponseCache(
+    { query, videoId: video_id, transcriptVersion, language: normalizeLanguage(language), models: getModelChainKey('query') },
+    compute,
+    { bypass: noCache, signal }
+  );
+};
 
-    if (!content) {
-      const error = new Error("No content returned from AI model");
-      error.status = 500;
-      throw error;
-    }
+// history is an optional list of prior { role, content } turns, oldest first; language is the answer language.
+// transcription is passed on to getTranscriptRecord for videos that have no transcript yet
+const answerQuery = async (query, video_id, { history, language, noCache, transcription } = {}) => {
+  logger.info(`Processing query: "${query}" for video_id: ${video_id}`);
+
+  const { response, source } = await runCached(query, video_id, { history, language, noCache, transcription }, async () => {
+    const prompt = await buildPrompt(query, video_id, history, language, transcription);
+    const { content, model } = await chat({ messages: prompt.messages, task: 'query' });
+    return finishAnswer(content, prompt, video_id, model);
+  });
+  return { ...response, cached: source !== 'computed' };
+};
 
-    return {
-      content,
-      transcriptAvailable,
-    };
-  } catch (error) {
-    console.error("Error processing query:", error);
-    if (error.status === 429) {
-      error.message = `Rate limit reached. Please try again in ${Math.ceil(error.retryAfter / 60)} minutes.`;
-    }
-    throw error;
-  }
+// same as answerQuery, but hands each token to onToken as it arrives; aborting signal cancels the upstream call.
+// a cached or shared answer arrives as a single token
+const streamQuery = async (query, video_id, { onToken, signal, history, language, noCache, transcription } = {}) => {
+  logger.info(`Streaming query: "${query}" for video_id: ${video_id}`);
+
+  const { response, source } = await runCached(query, video_id, { history, language, noCache, signal, transcription }, async () => {
+    const prompt = await buildPrompt(query, video_id, history, language, transcription);
+    const { content, model } = await chatStream({ messages: prompt.messages, task: 'query', signal, onToken });
+    return finishAnswer(content, prompt, video_id, model);
+  });
+  if (source !== 'computed') onToken?.(response.content);
+  return { ...response, cached: source !== 'computed' };
 };
 
-module.exports = { answerQuery };
+module.exports = { answerQuery, streamQuery };
@@ -0,0 +1,19 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// per-request state visible to code deep in the call stack, e.g. llmService attributing token usage
+const storage = new AsyncLocalStorage();
+
+// the store keeps the request itself so req.user set later by auth middleware is still seen
+const bindRequestContext = (req, res, next) => {
+  storage.run({ req }, next);
+};
+
+// background work such as transcription jobs runs on behalf of a user without a request
+const runWithUser = (userId, fn) => storage.run({ userId }, fn);
+
+const getContextUserId = () => {
+  const store = storage.getStore();
+  return store?.userId || store?.req?.user?.id || null;
+};
+
+module.exports = { bindRequestContext, runWithUser, getContextUserId };
@@ -0,0 +1,38 @@
+const { logger } = require('../config/logger');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// delay the server asked for via Retry-After, in milliseconds, if any
+const getRetryAfterMs = (error) => {
+  const header = error.retryAfter ?? error.headers?.['retry-after'] ?? error.headers?.get?.('retry-after');
+  const seconds = parseFloat(header);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+};
+
+const isRateLimitError = (error) =>
+  error.status === 429 || error.code === 'rate_limit_exceeded' || /rate.?limit/i.test(error.message || '');
+
+// rate limits, server errors, timeouts and dropped connections are worth another try
+const isTransientError = (error) =>
+  isRateLimitError(error) ||
+  [500, 502, 503, 504].includes(error.status) ||
+  error.name === 'TimeoutError' ||
+  /timeout|ECONNRESET|ECONNREFUSED|socket hang up/i.test(error.message || '');
+
+// exponential backoff (1s, 2s, 4s, ...) unless the server sent Retry-After
+async function withRetry(fn, { retries = 3, baseDelayMs = 1000, maxDelayMs = 60000, isRetryable = isTransientError, label = 'request', signal } = {}) {
+  let attempt = 0;
+  while (true) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      attempt++;
+      if (signal?.aborted || attempt >= retries || !isRetryable(error)) throw error;
+      const delay = Math.min(maxDelayMs, getRetryAfterMs(error) ?? baseDelayMs * Math.pow(2, attempt - 1));
+      logger.warn(`Retryable error for ${label}, retrying after ${delay}ms (attempt ${attempt}): ${error.message}`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = { withRetry, isRateLimitError, isTransientError, getRetryAfterMs, sleep };
@@ -0,0 +1,29 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+
+// SM-2: quality is 0 (blackout) to 5 (perfect recall), anything below 3 restarts the card
+const scheduleReview = ({ ease = 2.5, interval = 0, repetitions = 0 }, quality, now = new Date()) => {
+  let nextRepetitions;
+  let nextInterval;
+
+  if (quality < 3) {
+    nextRepetitions = 0;
+    nextInterval = 1;
+  } else {
+    nextRepetitions = repetitions + 1;
+    if (nextRepetitions === 1) nextInterval = 1;
+    else if (nextRepetitions === 2) nextInterval = 6;
+    else nextInterval = Math.round(interval * ease);
+  }
+
+  const nextEase = Math.max(MIN_EASE, ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+
+  return {
+    ease: Math.round(nextEase * 100) / 100,
+    interval: nextInterval,
+    repetitions: nextRepetitions,
+    dueAt: new Date(now.getTime() + nextInterval * DAY_MS)
+  };
+};
+
+module.exports = { scheduleReview };
@@ -0,0 +1,92 @@
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'of', 'on', 'or', 'so', 'that',
+  'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// bm25 tuning constants, standard defaults
+const K1 = 1.2;
+const B = 0.75;
+
+const tokenize = (text) =>
+  (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+
+// crude suffix stripping so "sorting" highlights "sort" and "sorted" like Mongo's stemmer would match them
+const stem = (token) => token.replace(/(ingly|edly|ing|ies|ied|es|ed|ly|s)$/, '') || token;
+
+// groups consecutive transcript segments into chunks of roughly maxChars characters
+const chunkTranscript = (transcript, maxChars = 1200) => {
+  const chunks = [];
+  let current = null;
+
+  transcript.forEach((segment, index) => {
+    const text = (segment.text || '').trim();
+    if (!text) return;
+    if (current && current.text.length + text.length + 1 > maxChars) {
+      chunks.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = { text: '', offset: segment.offset, duration: 0, segmentStart: index, segmentEnd: index };
+    }
+    current.text = current.text ? `${current.text} ${text}` : text;
+    current.duration = segment.offset + segment.duration - current.offset;
+    current.segmentEnd = index;
+  });
+
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+const buildIndex = (chunks) => {
+  const docFreqs = {};
+  let totalLength = 0;
+
+  const indexedChunks = chunks.map(chunk => {
+    const tokens = tokenize(chunk.text);
+    const terms = {};
+    for (const token of tokens) {
+      terms[token] = (terms[token] || 0) + 1;
+    }
+    for (const token of Object.keys(terms)) {
+      docFreqs[token] = (docFreqs[token] || 0) + 1;
+    }
+    totalLength += tokens.length;
+    return { ...chunk, terms, length: tokens.length };
+  });
+
+  return {
+    chunks: indexedChunks,
+    docFreqs,
+    avgLength: indexedChunks.length ? totalLength / indexedChunks.length : 0
+  };
+};
+
+// returns [{ index, score }] sorted by descending bm25 score, zero scores dropped
+const scoreChunks = (index, query) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  const count = index.chunks.length;
+  const getFreq = (map, key) => (map instanceof Map ? map.get(key) : map[key]) || 0;
+
+  return index.chunks
+    .map((chunk, position) => {
+      let score = 0;
+      for (const term of queryTerms) {
+        const tf = getFreq(chunk.terms, term);
+        if (!tf) continue;
+        const df = getFreq(index.docFreqs, term);
+        const idf = Math.log(1 + (count - df + 0.5) / (df + 0.5));
+        const norm = 1 - B + B * (chunk.length / (index.avgLength || 1));
+        score += idf * ((tf * (K1 + 1)) / (tf + K1 * norm));
+      }
+      return { index: position, score };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+};
+
+module.exports = { tokenize, stem, chunkTranscript, buildIndex, scoreChunks };
@@ -0,0 +1,96 @@
+const { formatTime } = require('./formatters');
+
+const MAX_LINE_LENGTH = 42;
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&apos;': "'" };
+
+// caption text from youtube comes html-escaped, sometimes twice
+const decodeEntities = (text) => {
+  let decoded = text || '';
+  for (let i = 0; i < 2; i++) {
+    decoded = decoded.replace(/&(amp|lt|gt|quot|apos|#39);/g, entity => ENTITIES[entity]);
+  }
+  return decoded;
+};
+
+const cleanText = (text) => decodeEntities(text).replace(/\s+/g, ' ').trim();
+
+// HH:MM:SS<separator>mmm from milliseconds
+const formatTimecode = (ms, separator) => {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  const pad = (value, size = 2) => String(value).padStart(size, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+};
+
+// greedy word wrap, words longer than a line are kept whole
+const wrapText = (text, maxLength = MAX_LINE_LENGTH) => {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(' ')) {
+    if (line && line.length + word.length + 1 > maxLength) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join('\n');
+};
+
+// auto-generated captions overlap, so each cue ends no later than the next one starts
+const toCues = (transcript) => {
+  const segments = transcript
+    .map(segment => ({ text: cleanText(segment.text), start: segment.offset, end: segment.offset + segment.duration }))
+    .filter(segment => segment.text);
+  return segments.map((segment, i) => {
+    const next = segments[i + 1];
+    const end = next && next.start < segment.end ? Math.max(next.start, segment.start) : segment.end;
+    return { ...segment, end };
+  });
+};
+
+const toSrt = (transcript) =>
+  toCues(transcript)
+    .map((cue, i) =>
+      `${i + 1}\n${formatTimecode(cue.start, ',')} --> ${formatTimecode(cue.end, ',')}\n${wrapText(cue.text)}\n`
+    )
+    .join('\n');
+
+// webvtt cue text is markup: & and < start entities and tags, and --> is not allowed at all
+const escapeVttText = (text) =>
+  text.replace(/-->/g, '->').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const toVtt = (transcript) =>
+  'WEBVTT\n\n' +
+  toCues(transcript)
+    .map(cue => `${formatTimecode(cue.start, '.')} --> ${formatTimecode(cue.end, '.')}\n${escapeVttText(wrapText(cue.text))}\n`)
+    .join('\n');
+
+const toTxt = (transcript) =>
+  toCues(transcript)
+    .map(cue => `[${formatTime(cue.start / 1000)}] ${cue.text}`)
+    .join('\n') + '\n';
+
+const toJson = (transcript, videoId) =>
+  JSON.stringify({
+    videoId,
+    segments: toCues(transcript).map(cue => ({
+      text: cue.text,
+      offset: cue.start,
+      duration: cue.end - cue.start
+    }))
+  }, null, 2);
+
+const EXPORT_FORMATS = {
+  srt: { contentType: 'application/x-subrip', render: toSrt },
+  vtt: { contentType: 'text/vtt', render: toVtt },
+  txt: { contentType: 'text/plain', render: toTxt },
+  json: { contentType: 'application/json', render: toJson }
+};
+
+module.exports = { EXPORT_FORMATS, formatTimecode, wrapText, toSrt, toVtt, toTxt, toJson };
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { z } = require('zod');
+const { normalizeLanguage } = require('./languages');
+
+// building blocks for the request schemas declared next to each route
+
+const objectId = z.string().refine(id => mongoose.Types.ObjectId.isValid(id), 'Invalid ID');
+
+// YouTube video ids and media ids share the videoId key
+const videoId = z.string().trim().min(1, 'Video ID is required').max(100);
+
+const playlistId = z.string().trim().min(1, 'Playlist ID is required').max(100);
+
+// accepts codes or English names and yields the canonical code
+const language = z.string().trim().transform((value, ctx) => {
+  const code = normalizeLanguage(value);
+  if (!code) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Unknown language' });
+    return z.NEVER;
+  }
+  return code;
+});
+
+// optional fields treat an empty value as absent, as clients and multipart forms send them
+const optionalLanguage = z.preprocess(value => value || undefined, language.optional());
+
+const nonEmptyText = (max) => z.string().trim().min(1).max(max);
+
+// query strings are always strings, so numbers and booleans are parsed here
+const queryInt = (min, max) => z.coerce.number().int().min(min).max(max);
+
+const queryBoolean = z.enum(['true', 'false', '1', '0']).transform(value => value === 'true' || value === '1');
+
+const pagination = {
+  page: queryInt(1, 10000).optional(),
+  limit: queryInt(1, 100).optional()
+};
+
+const idParams = z.object({ id: objectId });
+
+module.exports = { z, objectId, videoId, playlistId, language, optionalLanguage, nonEmptyText, queryInt, queryBoolean, pagination, idParams };